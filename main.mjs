@@ -7,15 +7,78 @@
 import CompanionModule from "@companion-module/base";
 import { WebSocket, WebSocketServer } from "ws";
 import ObjectPath from "object-path";
+import net, { BlockList, isIPv6 } from "node:net";
+import dgram from "node:dgram";
+import { timingSafeEqual, randomUUID } from "node:crypto";
+import https from "node:https";
+import tls from "node:tls";
+import fs from "node:fs";
+import { connect as mqttConnect, MqttClient } from "mqtt";
 /*  load external requirements (special case for module with import problems)  */
 import ReconnectingWebSocketNS from "reconnecting";
 const ReconnectingWebSocket = ReconnectingWebSocketNS.default;
 const ModuleConfigDefault = {
     role: "client",
+    transport: "websocket",
     addr: "127.0.0.1",
     port: 7766,
+    delay: 100,
+    batch: 0,
+    queue: "none",
+    queueLimit: 1000,
+    token: "",
+    tokenRO: "",
+    allow: "",
+    allowRO: "",
+    tls: false,
+    tlsCert: "",
+    tlsKey: "",
+    tlsCA: "",
+    tlsVerify: true,
+    tlsPin: "",
+    endpoints: "",
+    routes: "",
+    tables: "",
+    mappings: "",
+    name: "",
+    relay: "json",
+    maxSize: 64,
+    maxRate: 100,
+    maxHops: 4,
+    protocol: "plain",
+    acks: false,
+    heartbeat: 10,
+    commands: "",
+    groups: "",
+    osc: "127.0.0.1:12321",
+    topicOut: "companion/bridge/out",
+    topicIn: "companion/bridge/in",
+    discover: false,
+    discoverPath: "",
+    discoverPrefix: "json_",
+    discoverLimit: 100,
+    persist: false,
+    persistStale: "",
+    persisted: "",
     debug: false
 };
+/*  the Bridge protocol version (where version 0 is the plain JSON/raw state format)
+    and the parameters for re-sending unacknowledged messages  */
+const BridgeProtocolVersion = 1;
+const BridgeAckTimeout = 2000;
+const BridgeAckRetries = 3;
+/*  the idle time after which implicitly registered UDP clients are unregistered
+    and the maximum number of them per endpoint  */
+const BridgeUdpIdle = 60 * 1000;
+const BridgeUdpClients = 64;
+/*  the delay for storing the persisted received states (as storing rewrites the configuration)  */
+const BridgePersistDelay = 60 * 1000;
+/*  the maximum number of rows of the multi-key JSON state action  */
+const BridgeMultiRows = 16;
+/*  the special Bridge messages for requesting a state resync from the peer(s)
+    and for announcing the name (and protocol version) of a peer  */
+const BridgeResyncRequest = JSON.stringify({ "@bridge": "resync" });
+const BridgeHello = (name, version) => JSON.stringify(version > 0 ? { "@bridge": "hello", v: version, name } : { "@bridge": "hello", name });
 /*  define Companion Module class  */
 class Module extends CompanionModule.InstanceBase {
     /*  class construction  */
@@ -24,9 +87,22 @@ class Module extends CompanionModule.InstanceBase {
         /*  internal state  */
         this.config = ModuleConfigDefault;
         this.actions = new Map();
+        this.timers = new Map();
         this.feedbacks = new Map();
-        this.server = null;
-        this.client = null;
+        this.received = new Map();
+        this.discovered = new Map();
+        this.discoverWarned = false;
+        this.persisted = new Map();
+        this.stale = new Set();
+        this.persistTimer = null;
+        this.endpoints = new Map();
+        this.routes = [];
+        this.groups = new Map();
+        this.tables = new Map();
+        this.mappings = [];
+        this.commandId = 0;
+        this.origin = randomUUID();
+        this.statusTimer = null;
     }
     /*  Companion Module API: declare module configuration fields  */
     getConfigFields() {
@@ -38,25 +114,41 @@ class Module extends CompanionModule.InstanceBase {
                 value: "This exposes a Bridge service for reflecting Companion states. " +
                     "It can be used to bridge between two Companion instances (client/server) or " +
                     "between a Companion instance (server) and a custom application. " +
-                    "It provides either a WebSocket server (listening) or WebSocket client (connecting) " +
-                    "based service. For bridging states over the established WebSocket connection, " +
+                    "It provides either a server (listening) or client (connecting) based service " +
+                    "over WebSocket, TCP, UDP or MQTT. For bridging states over the established connection, " +
                     "use Companion Triggers to send states and Companion Feedbacks to receive states."
             }, {
                 type: "dropdown",
                 id: "role",
-                label: "Bridge WebSocket Communication Role",
-                tooltip: "Set the local communication role of the Bridge, either WebSocket Server or WebSocket Client",
+                label: "Bridge Communication Role",
+                tooltip: "Set the local communication role of the Bridge, either Server or Client " +
+                    "(for MQTT, only Client is available, as it connects to a broker)",
                 choices: [
-                    { id: "client", label: "WebSocket Client (connecting)" },
-                    { id: "server", label: "WebSocket Server (listening)" }
+                    { id: "client", label: "Client (connecting)" },
+                    { id: "server", label: "Server (listening)" }
                 ],
                 default: ModuleConfigDefault.role,
                 width: 12
+            }, {
+                type: "dropdown",
+                id: "transport",
+                label: "Bridge Transport",
+                tooltip: "The transport of the Bridge messages, either WebSocket, " +
+                    "TCP (newline-delimited messages), UDP (unicast or multicast, one or more lines per datagram) " +
+                    "or MQTT (client only, mapping JSON state keys to topics)",
+                choices: [
+                    { id: "websocket", label: "WebSocket" },
+                    { id: "tcp", label: "TCP (newline-delimited)" },
+                    { id: "udp", label: "UDP (unicast/multicast)" },
+                    { id: "mqtt", label: "MQTT (via broker)" }
+                ],
+                default: ModuleConfigDefault.transport,
+                width: 12
             }, {
                 type: "textinput",
                 id: "addr",
-                label: "Bridge WebSocket IP Address",
-                tooltip: "The IP address of the WebSocket endpoint of the Bridge, " +
+                label: "Bridge IP Address",
+                tooltip: "The IP address of the endpoint of the Bridge (or of the MQTT broker), " +
                     "local for role Server, remote for role Client " +
                     "(use \"0.0.0.0\" for all addresses of the underlying system for role Server)",
                 width: 12,
@@ -66,8 +158,8 @@ class Module extends CompanionModule.InstanceBase {
             }, {
                 type: "number",
                 id: "port",
-                label: "Bridge WebSocket TCP Port",
-                tooltip: "The TCP port of the WebSocket endpoint of the Bridge, " +
+                label: "Bridge Port",
+                tooltip: "The TCP or UDP port of the endpoint of the Bridge (or of the MQTT broker), " +
                     "local for role Server, remote for role Client " +
                     "(use a port which is still unused on the underlying system for role Server)",
                 width: 12,
@@ -75,6 +167,369 @@ class Module extends CompanionModule.InstanceBase {
                 min: 0,
                 max: 65535,
                 required: true
+            }, {
+                type: "textinput",
+                id: "topicOut",
+                label: "Bridge MQTT Topic Prefix [Publish]",
+                tooltip: "The topic prefix under which sent states are published, " +
+                    "where a JSON state key \"foo.bar\" is published to topic \"<prefix>/foo/bar\", " +
+                    "a raw state to topic \"<prefix>\" and special Bridge messages to topic \"<prefix>/@bridge\"",
+                width: 6,
+                default: ModuleConfigDefault.topicOut,
+                regex: "/^[^#+]+$/",
+                isVisible: (options) => options.transport === "mqtt"
+            }, {
+                type: "textinput",
+                id: "topicIn",
+                label: "Bridge MQTT Topic Prefix [Subscribe]",
+                tooltip: "The topic prefix under which received states are subscribed, " +
+                    "mapped the same way as the published ones (use a different prefix than for publishing)",
+                width: 6,
+                default: ModuleConfigDefault.topicIn,
+                regex: "/^[^#+]+$/",
+                isVisible: (options) => options.transport === "mqtt"
+            }, {
+                type: "number",
+                id: "delay",
+                label: "Bridge Automatic State Sending Delay [ms]",
+                tooltip: "The time in milliseconds to wait after the last change of a referenced variable " +
+                    "before a Send Bridge State action in automatic mode sends its state " +
+                    "(use 0 for sending immediately)",
+                width: 12,
+                default: ModuleConfigDefault.delay,
+                min: 0,
+                max: 10000,
+                required: true
+            }, {
+                type: "number",
+                id: "batch",
+                label: "Bridge Outgoing Batching Window [ms]",
+                tooltip: "The time in milliseconds during which sent JSON states are coalesced " +
+                    "into a single JSON message per connection " +
+                    "(use 0 for sending each state as its own message)",
+                width: 12,
+                default: ModuleConfigDefault.batch,
+                min: 0,
+                max: 10000,
+                required: true
+            }, {
+                type: "dropdown",
+                id: "queue",
+                label: "Bridge Outgoing Offline Queue",
+                tooltip: "How client endpoints handle states sent while their connection is down, " +
+                    "where queued states are sent after reconnecting (before the initial state snapshot)",
+                choices: [
+                    { id: "none", label: "drop states" },
+                    { id: "buffer", label: "queue all states" },
+                    { id: "coalesce", label: "queue latest JSON state per key (and all raw states)" }
+                ],
+                default: ModuleConfigDefault.queue,
+                width: 8
+            }, {
+                type: "number",
+                id: "queueLimit",
+                label: "Bridge Outgoing Offline Queue [Limit]",
+                tooltip: "The maximum number of queued states, where the oldest ones are dropped first",
+                width: 4,
+                default: ModuleConfigDefault.queueLimit,
+                min: 1,
+                max: 100000,
+                isVisible: (options) => options.queue !== "none"
+            }, {
+                type: "textinput",
+                id: "token",
+                label: "Bridge Authentication Token [Read-Write]",
+                tooltip: "The shared secret token for authenticating a peer with read-write access. " +
+                    "For role Server, clients have to present it (via HTTP header \"Authorization: Bearer <token>\" " +
+                    "or URL query parameter \"token\"), for role Client it is presented to the server " +
+                    "(leave empty for no authentication, which is required for the TCP and UDP transports)",
+                width: 12,
+                default: ModuleConfigDefault.token
+            }, {
+                type: "textinput",
+                id: "tokenRO",
+                label: "Bridge Authentication Token [Read-Only]",
+                tooltip: "The shared secret token for authenticating a client with read-only access, " +
+                    "i.e., it receives states, but cannot send states (only for role Server)",
+                width: 12,
+                default: ModuleConfigDefault.tokenRO,
+                isVisible: (options) => options.role === "server"
+            }, {
+                type: "textinput",
+                id: "allow",
+                label: "Bridge Client IP Allow-List",
+                tooltip: "Comma-separated list of IP addresses or networks (CIDR notation, e.g. \"10.0.0.0/8\") " +
+                    "of the clients which are allowed to connect (leave empty for allowing all clients, only for role Server)",
+                width: 12,
+                default: ModuleConfigDefault.allow,
+                isVisible: (options) => options.role === "server"
+            }, {
+                type: "textinput",
+                id: "allowRO",
+                label: "Bridge Client IP Read-Only-List",
+                tooltip: "Comma-separated list of IP addresses or networks (CIDR notation, e.g. \"10.0.0.0/8\") " +
+                    "of the clients which have read-only access only, independent of their presented token (only for role Server)",
+                width: 12,
+                default: ModuleConfigDefault.allowRO,
+                isVisible: (options) => options.role === "server"
+            }, {
+                type: "checkbox",
+                id: "tls",
+                label: "Bridge TLS Encryption",
+                tooltip: "Use TLS encrypted connections (wss://, TCP with TLS or mqtts://) instead of plain ones " +
+                    "(not available for UDP)",
+                default: ModuleConfigDefault.tls,
+                width: 12
+            }, {
+                type: "textinput",
+                id: "tlsCert",
+                label: "Bridge TLS Certificate [File Path or PEM]",
+                tooltip: "The X.509 certificate (chain) of the server, either as a path to a PEM file " +
+                    "or as the pasted PEM content (only for role Server)",
+                width: 12,
+                default: ModuleConfigDefault.tlsCert,
+                isVisible: (options) => options.tls === true && options.role === "server"
+            }, {
+                type: "textinput",
+                id: "tlsKey",
+                label: "Bridge TLS Private Key [File Path or PEM]",
+                tooltip: "The private key of the server, either as a path to a PEM file " +
+                    "or as the pasted PEM content (only for role Server)",
+                width: 12,
+                default: ModuleConfigDefault.tlsKey,
+                isVisible: (options) => options.tls === true && options.role === "server"
+            }, {
+                type: "checkbox",
+                id: "tlsVerify",
+                label: "Bridge TLS Certificate Verification",
+                tooltip: "Verify the certificate of the server against the Certificate Authorities (only for role Client)",
+                default: ModuleConfigDefault.tlsVerify,
+                width: 12,
+                isVisible: (options) => options.tls === true && options.role === "client"
+            }, {
+                type: "textinput",
+                id: "tlsCA",
+                label: "Bridge TLS Certificate Authority [File Path or PEM]",
+                tooltip: "The X.509 certificate of the Certificate Authority to verify the server certificate against, " +
+                    "either as a path to a PEM file or as the pasted PEM content " +
+                    "(leave empty for the system Certificate Authorities, only for role Client)",
+                width: 12,
+                default: ModuleConfigDefault.tlsCA,
+                isVisible: (options) => options.tls === true && options.role === "client"
+            }, {
+                type: "textinput",
+                id: "tlsPin",
+                label: "Bridge TLS Certificate Pinning [SHA-256 Fingerprint]",
+                tooltip: "The SHA-256 fingerprint (e.g. \"AB:CD:...\") the server certificate has to match, " +
+                    "even if its verification is disabled (leave empty for no pinning, only for role Client)",
+                width: 12,
+                default: ModuleConfigDefault.tlsPin,
+                isVisible: (options) => options.tls === true && options.role === "client"
+            }, {
+                type: "textinput",
+                id: "endpoints",
+                label: "Bridge Additional Endpoints",
+                tooltip: "Comma-separated list of additional named endpoints in the format \"<name>=<role>@<address>:<port>\" " +
+                    "with role either \"client\" or \"server\", e.g. \"stage1=client@10.0.0.1:7766, local=server@0.0.0.0:7767\" " +
+                    "(the endpoint configured above is always named \"main\", and the authentication and TLS settings apply to all endpoints)",
+                width: 12,
+                default: ModuleConfigDefault.endpoints
+            }, {
+                type: "textinput",
+                id: "routes",
+                label: "Bridge Routing Rules",
+                tooltip: "Comma-separated list of routing rules in the format \"<from>><to>\" for forwarding " +
+                    "states received on one endpoint to another one, e.g. \"stage1>main, main>*\" " +
+                    "(use \"*\" for all endpoints)",
+                width: 12,
+                default: ModuleConfigDefault.routes
+            }, {
+                type: "textinput",
+                id: "tables",
+                label: "Bridge Value Mapping Tables",
+                tooltip: "Comma-separated list of named tables for mapping between local and remote values " +
+                    "in the format \"<name>=<local>:<remote>;...\", e.g. \"tally=live:2;preview:1;off:0\" " +
+                    "(remote values are sent as JSON values, if possible, and unmapped values are passed through)",
+                width: 12,
+                default: ModuleConfigDefault.tables
+            }, {
+                type: "textinput",
+                id: "mappings",
+                label: "Bridge Key Mapping Rules",
+                tooltip: "Comma-separated list of rules for renaming JSON state keys and mapping their values, " +
+                    "in the format \"[<endpoint>:]<local-key>[=<remote-key>][@<table>]\", " +
+                    "e.g. \"cam1=camera.one, stage1:cam1.tally=cam1.state@tally\", " +
+                    "applied to sent states (local to remote) and received states (remote to local), " +
+                    "where a key also matches all keys below it and the most specific matching rule wins",
+                width: 12,
+                default: ModuleConfigDefault.mappings
+            }, {
+                type: "textinput",
+                id: "name",
+                label: "Bridge Client Name",
+                tooltip: "The name under which client endpoints announce themselves to the server " +
+                    "(leave empty for the label of this connection, which is announced " +
+                    "with the protocol v1 only, as the server otherwise uses the client address)",
+                width: 12,
+                default: ModuleConfigDefault.name
+            }, {
+                type: "dropdown",
+                id: "relay",
+                label: "Bridge Server Relaying",
+                tooltip: "How server endpoints relay states received from one client to all other clients",
+                choices: [
+                    { id: "none", label: "no relaying" },
+                    { id: "json", label: "relay JSON states only (normalized)" },
+                    { id: "verbatim", label: "relay all states (verbatim)" }
+                ],
+                default: ModuleConfigDefault.relay,
+                width: 12
+            }, {
+                type: "number",
+                id: "maxSize",
+                label: "Bridge Max. Message Size [KB]",
+                tooltip: "The maximum size in kilobytes of received messages, where larger ones are dropped " +
+                    "and WebSocket connections sending them are closed (use 0 for no limit)",
+                default: ModuleConfigDefault.maxSize,
+                min: 0,
+                max: 65536,
+                width: 4
+            }, {
+                type: "number",
+                id: "maxRate",
+                label: "Bridge Max. Message Rate [1/s]",
+                tooltip: "The maximum number of received messages per second and peer, where further ones are dropped " +
+                    "(use 0 for no limit)",
+                default: ModuleConfigDefault.maxRate,
+                min: 0,
+                max: 100000,
+                width: 4
+            }, {
+                type: "number",
+                id: "maxHops",
+                label: "Bridge Max. State Hops",
+                tooltip: "The maximum number of relays/routes a received state may have passed, " +
+                    "where states exceeding it or originating from this instance are dropped as loops " +
+                    "(only for the Bridge protocol, use 0 for no limit)",
+                default: ModuleConfigDefault.maxHops,
+                min: 0,
+                max: 100,
+                width: 4
+            }, {
+                type: "dropdown",
+                id: "protocol",
+                label: "Bridge Protocol",
+                tooltip: "The format of the exchanged messages, either plain JSON/raw states (compatibility mode) " +
+                    "or the versioned Bridge protocol with typed messages, sequence numbers, " +
+                    "optional acknowledgements and heartbeats",
+                choices: [
+                    { id: "plain", label: "plain JSON/raw states (compatibility mode)" },
+                    { id: "v1", label: "Bridge protocol version 1" }
+                ],
+                default: ModuleConfigDefault.protocol,
+                width: 12
+            }, {
+                type: "checkbox",
+                id: "acks",
+                label: "Bridge Protocol Acknowledgements",
+                tooltip: "Request delivery acknowledgements for sent states and re-send unacknowledged ones",
+                default: ModuleConfigDefault.acks,
+                width: 6,
+                isVisible: (options) => options.protocol === "v1"
+            }, {
+                type: "number",
+                id: "heartbeat",
+                label: "Bridge Protocol Heartbeat [s]",
+                tooltip: "The interval in seconds for sending heartbeat messages, " +
+                    "where a connection is considered dead after three intervals without any received message " +
+                    "(use 0 for no heartbeats)",
+                default: ModuleConfigDefault.heartbeat,
+                min: 0,
+                max: 3600,
+                width: 6,
+                isVisible: (options) => options.protocol === "v1"
+            }, {
+                type: "checkbox",
+                id: "discover",
+                label: "Bridge Variable Auto-Discovery",
+                tooltip: "Automatically create a variable for every leaf key of received JSON states, " +
+                    "without the need for a Receive Bridge State feedback per key",
+                default: ModuleConfigDefault.discover,
+                width: 12
+            }, {
+                type: "textinput",
+                id: "discoverPath",
+                label: "Bridge Variable Auto-Discovery [JSON Path]",
+                tooltip: "The JSON path (e.g. \"foo.bar\") below which leaf keys are discovered " +
+                    "(leave empty for all leaf keys)",
+                width: 4,
+                default: ModuleConfigDefault.discoverPath,
+                isVisible: (options) => options.discover === true
+            }, {
+                type: "textinput",
+                id: "discoverPrefix",
+                label: "Bridge Variable Auto-Discovery [Name Prefix]",
+                tooltip: "The prefix of the discovered variable names, followed by the sanitized path of the leaf key " +
+                    "below the JSON path, e.g. \"json_cam1_tally\" for key \"cam1.tally\"",
+                width: 4,
+                default: ModuleConfigDefault.discoverPrefix,
+                regex: "/^[a-zA-Z0-9_]*$/",
+                isVisible: (options) => options.discover === true
+            }, {
+                type: "number",
+                id: "discoverLimit",
+                label: "Bridge Variable Auto-Discovery [Limit]",
+                tooltip: "The maximum number of discovered variables, where further leaf keys are ignored",
+                width: 4,
+                default: ModuleConfigDefault.discoverLimit,
+                min: 1,
+                max: 10000,
+                isVisible: (options) => options.discover === true
+            }, {
+                type: "checkbox",
+                id: "persist",
+                label: "Bridge Received State Persistence",
+                tooltip: "Persist the last received values and restore them when the module is restarted, " +
+                    "instead of resetting the variables to their default values " +
+                    "(stored at most once per minute and on shutdown)",
+                default: ModuleConfigDefault.persist,
+                width: 6
+            }, {
+                type: "textinput",
+                id: "persistStale",
+                label: "Bridge Received State Persistence [Stale Marker]",
+                tooltip: "The text appended to restored variable values until a new value is received, " +
+                    "e.g. \" (stale)\" (leave empty for no marker)",
+                width: 6,
+                default: ModuleConfigDefault.persistStale,
+                isVisible: (options) => options.persist === true
+            }, {
+                type: "textinput",
+                id: "commands",
+                label: "Bridge Remote Commands [Allow-List]",
+                tooltip: "Comma-separated list of the remote commands peers are allowed to execute locally, " +
+                    "in the format \"button:<page>/<row>/<column>\", \"variable:<name>\" or \"group:<name>\", " +
+                    "where \"*\" matches any characters (leave empty for allowing no remote commands)",
+                width: 12,
+                default: ModuleConfigDefault.commands
+            }, {
+                type: "textinput",
+                id: "groups",
+                label: "Bridge Remote Command Groups",
+                tooltip: "Comma-separated list of named groups of commands in the format \"<name>=<command>;...\", " +
+                    "where a command is \"down:<page>/<row>/<column>\", \"up:<page>/<row>/<column>\", " +
+                    "\"press:<page>/<row>/<column>\" or \"set:<variable>=<value>\"",
+                width: 12,
+                default: ModuleConfigDefault.groups
+            }, {
+                type: "textinput",
+                id: "osc",
+                label: "Companion OSC Listener [Address:Port]",
+                tooltip: "The address and UDP port of the OSC listener of the local Companion instance, " +
+                    "through which remote button commands are executed (enable it under Settings > Protocols), " +
+                    "as button commands are just transported by the bridge and are no alternative to OSC",
+                width: 12,
+                default: ModuleConfigDefault.osc
             }, {
                 type: "checkbox",
                 id: "debug",
@@ -95,144 +550,1670 @@ class Module extends CompanionModule.InstanceBase {
             this.updateStatus(CompanionModule.InstanceStatus.BadConfig, "either Address or Port not set");
             return;
         }
-        /*  start services  */
-        await this.clientStart();
-        await this.serverStart();
         /*  declare action  */
         await this.actionDeclare();
-        /*  declare feedbacks  */
+        /*  restore persisted received states  */
+        this.persistRestore();
+        /*  declare feedbacks and presets  */
         await this.feedbackDeclare();
         await this.feedbackUpdateVariables();
-        /*  indicate state  */
-        this.updateStatus(CompanionModule.InstanceStatus.Ok);
+        await this.presetDeclare();
+        /*  start services  */
+        await this.endpointsStart();
     }
     /*  Companion Module API: destroy module  */
     async destroy() {
         if (this.config.debug)
             this.log("info", "[Bridge]: module: destroy");
         /*  stop services  */
-        await this.clientStop();
-        await this.serverStop();
+        await this.endpointsStop();
+        /*  store pending persisted received states  */
+        if (this.persistTimer !== null)
+            this.persistSave();
+        /*  stop pending automatic state sending  */
+        this.timers.forEach((timer) => { clearTimeout(timer); });
+        this.timers.clear();
     }
     /*  Companion Module API: update configuration  */
     async configUpdated(config) {
         if (this.config.debug)
             this.log("info", "[Bridge]: module: update configuration");
-        /*  remember configuration  */
-        this.config = config;
+        /*  remember configuration (but keep the persisted received states)  */
+        this.config = { ...config, persisted: this.config.persisted };
+        /*  forget persisted received states (if persistence was disabled)  */
+        if (!this.config.persist && this.persisted.size > 0) {
+            this.persisted.clear();
+            this.stale.clear();
+            this.persistSave();
+        }
         /*  stop services  */
-        await this.clientStop();
-        await this.serverStop();
+        await this.endpointsStop();
+        /*  sanity check configuration  */
+        if (!this.config.addr || !this.config.port) {
+            this.updateStatus(CompanionModule.InstanceStatus.BadConfig, "either Address or Port not set");
+            return;
+        }
+        /*  re-declare actions and feedbacks (for the endpoint choices)
+            and presets (for the potentially changed label in their variable references)  */
+        await this.actionDeclare();
+        await this.feedbackDeclare();
+        await this.presetDeclare();
+        /*  forget discovered variables (for a potentially changed JSON path or name prefix)  */
+        this.discovered.clear();
+        this.discoverWarned = false;
         /*  start services  */
-        await this.serverStart();
-        await this.clientStart();
-        /*  indicate state  */
-        this.updateStatus(CompanionModule.InstanceStatus.Ok);
+        await this.endpointsStart();
     }
-    /*  internal helper function for server starting  */
-    async serverStart() {
-        if (this.config.role !== "server")
+    /*  internal helper function for determining the configured endpoints  */
+    endpointsConfigured() {
+        const transport = this.config.transport ?? ModuleConfigDefault.transport;
+        const endpoints = [
+            { name: "main", role: this.config.role, transport, addr: this.config.addr, port: this.config.port }
+        ];
+        for (const entry of (this.config.endpoints ?? "").split(/\s*[,\n]\s*/).filter((entry) => entry !== "")) {
+            const m = entry.match(/^([-a-zA-Z0-9_]+)=(client|server)@(.+):(\d+)(?:\/(websocket|tcp|udp|mqtt))?$/);
+            if (m === null)
+                throw new Error(`invalid endpoint "${entry}"`);
+            if (endpoints.find((endpoint) => endpoint.name === m[1]))
+                throw new Error(`duplicate endpoint "${m[1]}"`);
+            endpoints.push({ name: m[1], role: m[2], transport: m[5] ?? transport, addr: m[3].replace(/^\[(.+)\]$/, "$1"), port: parseInt(m[4]) });
+        }
+        return endpoints;
+    }
+    /*  internal helper function for determining the configured routing rules  */
+    routesConfigured() {
+        const routes = [];
+        for (const entry of (this.config.routes ?? "").split(/\s*[,\n]\s*/).filter((entry) => entry !== "")) {
+            const m = entry.match(/^([-a-zA-Z0-9_]+|\*)\s*>\s*([-a-zA-Z0-9_]+|\*)$/);
+            if (m === null)
+                throw new Error(`invalid routing rule "${entry}"`);
+            routes.push({ from: m[1], to: m[2] });
+        }
+        return routes;
+    }
+    /*  internal helper function for determining the configured remote command groups  */
+    groupsConfigured() {
+        const groups = new Map();
+        for (const entry of (this.config.groups ?? "").split(/\s*[,\n]\s*/).filter((entry) => entry !== "")) {
+            const m = entry.match(/^([-a-zA-Z0-9_]+)\s*=\s*(.+)$/);
+            if (m === null)
+                throw new Error(`invalid command group "${entry}"`);
+            const commands = [];
+            for (const step of m[2].split(/\s*;\s*/).filter((step) => step !== "")) {
+                let n;
+                if ((n = step.match(/^(down|up|press):(\d+\/\d+\/\d+)$/)) !== null)
+                    commands.push({ command: n[1], location: n[2] });
+                else if ((n = step.match(/^set:([-a-zA-Z0-9_]+)=(.*)$/)) !== null)
+                    commands.push({ command: "set", variable: n[1], value: n[2] });
+                else
+                    throw new Error(`invalid command "${step}" in command group "${m[1]}"`);
+            }
+            groups.set(m[1], commands);
+        }
+        return groups;
+    }
+    /*  internal helper function for determining the configured value mapping tables  */
+    tablesConfigured() {
+        const tables = new Map();
+        for (const entry of (this.config.tables ?? "").split(/\s*[,\n]\s*/).filter((entry) => entry !== "")) {
+            const m = entry.match(/^([-a-zA-Z0-9_]+)\s*=\s*(.+)$/);
+            if (m === null)
+                throw new Error(`invalid mapping table "${entry}"`);
+            const pairs = [];
+            for (const pair of m[2].split(/\s*;\s*/).filter((pair) => pair !== "")) {
+                const n = pair.match(/^(.*?)\s*:\s*(.*)$/);
+                if (n === null)
+                    throw new Error(`invalid mapping "${pair}" in mapping table "${m[1]}"`);
+                pairs.push({ local: n[1], remote: n[2] });
+            }
+            tables.set(m[1], pairs);
+        }
+        return tables;
+    }
+    /*  internal helper function for determining the configured key mapping rules  */
+    mappingsConfigured(tables) {
+        const mappings = [];
+        for (const entry of (this.config.mappings ?? "").split(/\s*[,\n]\s*/).filter((entry) => entry !== "")) {
+            const m = entry.match(/^(?:([-a-zA-Z0-9_]+|\*)\s*:\s*)?([^\s:=@]+)\s*(?:=\s*([^\s:=@]+)\s*)?(?:@\s*([-a-zA-Z0-9_]+))?$/);
+            if (m === null || (m[3] === undefined && m[4] === undefined))
+                throw new Error(`invalid key mapping rule "${entry}"`);
+            if (m[4] !== undefined && !tables.has(m[4]))
+                throw new Error(`unknown mapping table "${m[4]}" in key mapping rule "${entry}"`);
+            mappings.push({ endpoint: m[1] ?? "*", local: m[2], remote: m[3] ?? m[2], table: m[4] ?? "" });
+        }
+        return mappings;
+    }
+    /*  internal helper function for determining the endpoint choices of actions and feedbacks  */
+    endpointChoices(any) {
+        const choices = [];
+        if (any)
+            choices.push({ id: "*", label: "all/any endpoints" });
+        let endpoints = [{ name: "main" }];
+        try {
+            endpoints = this.endpointsConfigured();
+        }
+        catch (err) {
+        }
+        for (const endpoint of endpoints)
+            choices.push({ id: endpoint.name, label: endpoint.name });
+        return choices;
+    }
+    /*  internal helper function for starting all endpoints  */
+    async endpointsStart() {
+        /*  determine endpoints and routing rules  */
+        let endpoints;
+        try {
+            endpoints = this.endpointsConfigured();
+            for (const endpoint of endpoints) {
+                if (endpoint.transport === "mqtt" && endpoint.role === "server")
+                    throw new Error(`endpoint "${endpoint.name}": MQTT is available for role client only (connecting to a broker)`);
+                if (endpoint.transport === "udp" && this.config.tls)
+                    throw new Error(`endpoint "${endpoint.name}": TLS is not available for the UDP transport`);
+                if ((endpoint.transport === "tcp" || endpoint.transport === "udp")
+                    && (this.config.token || (endpoint.role === "server" && this.config.tokenRO)))
+                    throw new Error(`endpoint "${endpoint.name}": authentication tokens are not available ` +
+                        "for the TCP and UDP transports (use the IP allow-lists instead)");
+            }
+            this.routes = this.routesConfigured();
+            this.groups = this.groupsConfigured();
+            this.tables = this.tablesConfigured();
+            this.mappings = this.mappingsConfigured(this.tables);
+        }
+        catch (err) {
+            this.log("error", `[Bridge]: module: ${err.message}`);
+            this.updateStatus(CompanionModule.InstanceStatus.BadConfig, err.message);
+            return;
+        }
+        /*  declare endpoints and their status variables  */
+        for (const { name, role, transport, addr, port } of endpoints) {
+            this.endpoints.set(name, {
+                name, role, transport, addr, port,
+                server: null,
+                serverTLS: null,
+                client: null,
+                tcp: null,
+                socket: null,
+                udp: null,
+                mqtt: null,
+                retry: null,
+                link: null,
+                peers: new Map(),
+                members: new Map(),
+                status: { connected: false, clients: 0, lastMessage: 0, reconnects: 0, droppedSize: 0, droppedRate: 0, droppedLoop: 0 },
+                dropped: false,
+                instance: { status: CompanionModule.InstanceStatus.Connecting, message: null }
+            });
+        }
+        await this.feedbackUpdateVariables(null, false);
+        /*  start endpoints  */
+        for (const endpoint of this.endpoints.values()) {
+            this.statusUpdate(endpoint, {});
+            if (endpoint.transport === "mqtt")
+                await this.mqttStart(endpoint);
+            else if (endpoint.transport === "udp")
+                await this.udpStart(endpoint);
+            else if (endpoint.transport === "tcp" && endpoint.role === "server")
+                await this.tcpServerStart(endpoint);
+            else if (endpoint.transport === "tcp" && endpoint.role === "client")
+                await this.tcpClientStart(endpoint);
+            else if (endpoint.role === "server")
+                await this.serverStart(endpoint);
+            else if (endpoint.role === "client")
+                await this.clientStart(endpoint);
+        }
+        /*  periodically re-check the feedbacks depending on the time
+            and maintain the links (heartbeats and acknowledgements)  */
+        this.statusTimer = setInterval(() => {
+            this.checkFeedbacks("bridgeIdle");
+            this.linksMaintain();
+            /*  report dropped messages (deferred, as flooding peers should cause as little work as possible)  */
+            for (const endpoint of this.endpoints.values()) {
+                if (endpoint.dropped) {
+                    endpoint.dropped = false;
+                    this.statusUpdate(endpoint, {});
+                }
+            }
+        }, 1000);
+        /*  check that remote button commands can be executed at all  */
+        await this.oscCheck();
+    }
+    /*  internal helper function for stopping all endpoints  */
+    async endpointsStop() {
+        if (this.statusTimer !== null) {
+            clearInterval(this.statusTimer);
+            this.statusTimer = null;
+        }
+        /*  send the states still pending in the batching window before tearing down the links  */
+        for (const { endpoint, link } of this.linksSelect())
+            this.linkFlush(endpoint, link);
+        /*  stop all endpoints  */
+        for (const endpoint of this.endpoints.values()) {
+            await this.clientStop(endpoint);
+            await this.serverStop(endpoint);
+            await this.tcpStop(endpoint);
+            await this.udpStop(endpoint);
+            await this.mqttStop(endpoint);
+        }
+        this.endpoints.clear();
+        this.routes = [];
+        this.groups.clear();
+    }
+    /*  internal helper function for updating the connection status of an endpoint  */
+    statusUpdate(endpoint, status) {
+        Object.assign(endpoint.status, status);
+        const prefix = this.statusVariablePrefix(endpoint.name);
+        this.setVariableValues({
+            [`${prefix}connected`]: endpoint.status.connected,
+            [`${prefix}clients`]: endpoint.status.clients,
+            [`${prefix}last_message`]: endpoint.status.lastMessage > 0 ? new Date(endpoint.status.lastMessage).toISOString() : "",
+            [`${prefix}reconnects`]: endpoint.status.reconnects,
+            [`${prefix}client_names`]: Array.from(endpoint.peers.values()).map((peer) => peer.name).join(", "),
+            [`${prefix}dropped_size`]: endpoint.status.droppedSize,
+            [`${prefix}dropped_rate`]: endpoint.status.droppedRate,
+            [`${prefix}dropped_loop`]: endpoint.status.droppedLoop
+        });
+        this.checkFeedbacks("bridgeConnected", "bridgeClients", "bridgeIdle", "bridgeReconnects");
+    }
+    /*  internal helper function for determining the prefix of the status variables of an endpoint  */
+    statusVariablePrefix(name) {
+        return name === "main" ? "bridge_" : `bridge_${name}_`;
+    }
+    /*  internal helper function for updating the instance status of an endpoint  */
+    statusInstance(endpoint, status, message = null) {
+        endpoint.instance = { status, message };
+        /*  aggregate the instance status of all endpoints, where the worst one wins  */
+        const order = [
+            CompanionModule.InstanceStatus.BadConfig,
+            CompanionModule.InstanceStatus.UnknownError,
+            CompanionModule.InstanceStatus.ConnectionFailure,
+            CompanionModule.InstanceStatus.Disconnected,
+            CompanionModule.InstanceStatus.Connecting,
+            CompanionModule.InstanceStatus.UnknownWarning,
+            CompanionModule.InstanceStatus.Ok
+        ];
+        let worst = null;
+        for (const endpoint of this.endpoints.values())
+            if (worst === null || order.indexOf(endpoint.instance.status) < order.indexOf(worst.instance.status))
+                worst = endpoint;
+        if (worst === null)
             return;
-        this.log("info", `[Bridge]: server: listener initiated (local: ${this.config.addr}:${this.config.port})`);
-        this.updateStatus(CompanionModule.InstanceStatus.Connecting);
-        this.server = new WebSocketServer({
-            host: this.config.addr,
-            port: this.config.port
+        let msg = worst.instance.message;
+        if (msg !== null && this.endpoints.size > 1)
+            msg = `${worst.name}: ${msg}`;
+        this.updateStatus(worst.instance.status, msg);
+    }
+    /*  internal helper function for server starting  */
+    async serverStart(endpoint) {
+        this.log("info", `[Bridge]: server(${endpoint.name}): listener initiated (local: ${endpoint.addr}:${endpoint.port}, tls: ${this.config.tls ? "yes" : "no"})`);
+        this.statusInstance(endpoint, CompanionModule.InstanceStatus.Connecting);
+        if (this.config.tls) {
+            /*  provide underlying HTTPS server  */
+            try {
+                endpoint.serverTLS = https.createServer({
+                    cert: this.tlsMaterial(this.config.tlsCert),
+                    key: this.tlsMaterial(this.config.tlsKey)
+                });
+            }
+            catch (err) {
+                this.log("error", `[Bridge]: server(${endpoint.name}): failed to load TLS certificate/key: ${err}`);
+                this.statusInstance(endpoint, CompanionModule.InstanceStatus.BadConfig, "invalid TLS Certificate or Key");
+                return;
+            }
+        }
+        const listener = endpoint.serverTLS !== null ?
+            { server: endpoint.serverTLS } :
+            { host: endpoint.addr, port: endpoint.port };
+        const server = endpoint.server = new WebSocketServer({
+            ...listener,
+            ...this.wsPayloadLimit(),
+            verifyClient: (info) => {
+                /*  authenticate and authorize client  */
+                const remoteAddr = info.req?.socket?.remoteAddress ?? "0.0.0.0";
+                if (this.serverAccess(info.req) === "none") {
+                    this.log("warn", `[Bridge]: server(${endpoint.name}): connection rejected (client: ${remoteAddr})`);
+                    return false;
+                }
+                return true;
+            }
         });
-        this.server.on("connection", (ws, req) => {
+        server.on("connection", (ws, req) => {
             /*  determine client  */
             const remoteAddr = req?.socket?.remoteAddress ?? "0.0.0.0";
             const remotePort = req?.socket?.remotePort ?? "0";
             const remote = `${remoteAddr}:${remotePort}`;
-            this.log("info", `[Bridge]: server: connection received (client: ${remote})`);
+            const access = this.serverAccess(req);
+            this.log("info", `[Bridge]: server(${endpoint.name}): connection received (client: ${remote}, access: ${access})`);
+            const link = this.linkCreate((msg) => { ws.send(msg); }, () => { ws.terminate(); }, 0);
+            endpoint.peers.set(ws, { name: remote, addr: remoteAddr, remote, link });
+            this.statusUpdate(endpoint, { connected: true, clients: server.clients.size });
             /*  react on events  */
             ws.on("message", async (data) => {
-                const msg = data.toString();
-                if (this.config.debug)
-                    this.log("info", `[Bridge]: server: received message: ${msg}`);
-                const state = await this.receiveState(msg);
-                await this.sendState(JSON.stringify(state), ws);
+                await this.linkMessage(endpoint, link, data.toString(), access, ws);
             });
-            ws.on("close", (ev) => {
-                this.log("info", `[Bridge]: server: connection closed (code: ${ev.code})`);
+            ws.on("close", (code) => {
+                this.log("info", `[Bridge]: server(${endpoint.name}): connection closed (client: ${remote}, code: ${code})`);
+                endpoint.peers.delete(ws);
+                if (endpoint.server === server)
+                    this.statusUpdate(endpoint, { connected: server.clients.size > 0, clients: server.clients.size });
             });
-            ws.on("error", (ev) => {
-                this.log("error", `[Bridge]: server: connection error (reason: ${ev.message})`);
+            ws.on("error", (err) => {
+                this.log("error", `[Bridge]: server(${endpoint.name}): connection error (client: ${remote}, reason: ${err.message})`);
+                if (err.code === "WS_ERR_UNSUPPORTED_MESSAGE_LENGTH") {
+                    endpoint.status.droppedSize++;
+                    endpoint.dropped = true;
+                }
             });
-            /*  initially emit all states  */
-            this.actionEmitState();
+            /*  initially emit all states to the new client  */
+            this.actionEmitState(undefined, false, endpoint.name, ws);
         });
-        this.server.on("listening", () => {
-            this.log("info", "[Bridge]: server: listener established");
+        server.on("listening", () => {
+            this.log("info", `[Bridge]: server(${endpoint.name}): listener established`);
+            if (endpoint.server === server)
+                this.statusInstance(endpoint, CompanionModule.InstanceStatus.Ok);
         });
-        this.server.on("close", (ev) => {
-            this.log("info", `[Bridge]: server: listener closed (code: ${ev.code})`);
+        server.on("close", () => {
+            this.log("info", `[Bridge]: server(${endpoint.name}): listener closed`);
         });
-        this.server.on("error", (ev) => {
-            this.log("error", `[Bridge]: server: listener error (reason: ${ev.message})`);
+        server.on("error", (err) => {
+            if (endpoint.server === server)
+                this.serverError(endpoint, err);
         });
+        if (endpoint.serverTLS !== null)
+            endpoint.serverTLS.listen(endpoint.port, endpoint.addr);
+    }
+    /*  internal helper function for handling listener errors  */
+    serverError(endpoint, err) {
+        this.log("error", `[Bridge]: server(${endpoint.name}): listener error (reason: ${err.message})`);
+        if (err.code === "EADDRINUSE")
+            this.statusInstance(endpoint, CompanionModule.InstanceStatus.UnknownError, `address ${endpoint.addr}:${endpoint.port} already in use`);
+        else
+            this.statusInstance(endpoint, CompanionModule.InstanceStatus.UnknownError, err.message);
+    }
+    /*  internal helper function for relaying a received state to all other clients  */
+    async serverRelay(endpoint, msg, sender, trace = null) {
+        const relay = this.config.relay ?? ModuleConfigDefault.relay;
+        if (relay === "verbatim")
+            await this.sendState(msg, endpoint.name, sender, null, "", trace);
+        else if (relay === "json") {
+            let obj;
+            try {
+                obj = JSON.parse(msg);
+            }
+            catch (err) {
+                return;
+            }
+            await this.sendState(JSON.stringify(obj), endpoint.name, sender, null, "", trace);
+        }
+    }
+    /*  internal helper function for matching a connected client against a list of client names/addresses  */
+    peerMatches(endpoint, handle, peers) {
+        const peer = endpoint.peers.get(handle);
+        if (peer === undefined)
+            return false;
+        return peers.split(/\s*,\s*/).some((entry) => entry === peer.name || entry === peer.addr || entry === peer.remote);
+    }
+    /*  internal helper function for determining the access level of a client  */
+    serverAccess(req) {
+        let token = "";
+        const m = (req.headers.authorization ?? "").match(/^Bearer\s+(.+)$/i);
+        if (m !== null)
+            token = m[1];
+        else {
+            const url = new URL(req.url ?? "/", "http://localhost");
+            token = url.searchParams.get("token") ?? "";
+        }
+        return this.peerAccess(req?.socket?.remoteAddress ?? "0.0.0.0", token);
+    }
+    /*  internal helper function for determining the access level of a peer
+        (where transports without a token always fail a required authentication)  */
+    peerAccess(remoteAddr, token) {
+        /*  check IP allow-list  */
+        if (this.config.allow && !this.addrMatches(remoteAddr, this.config.allow))
+            return "none";
+        /*  check authentication token  */
+        let access = "rw";
+        if (this.config.token || this.config.tokenRO) {
+            if (token === null)
+                return "none";
+            if (this.config.token && this.tokenMatches(token, this.config.token))
+                access = "rw";
+            else if (this.config.tokenRO && this.tokenMatches(token, this.config.tokenRO))
+                access = "ro";
+            else
+                return "none";
+        }
+        /*  check IP read-only-list  */
+        if (this.config.allowRO && this.addrMatches(remoteAddr, this.config.allowRO))
+            access = "ro";
+        return access;
+    }
+    /*  internal helper function for matching an IP address against a list of addresses/networks  */
+    addrMatches(addr, list) {
+        const blockList = new BlockList();
+        for (const entry of list.split(/\s*,\s*/).filter((entry) => entry !== "")) {
+            const [network, prefix] = entry.split("/");
+            const type = isIPv6(network) ? "ipv6" : "ipv4";
+            try {
+                if (prefix !== undefined)
+                    blockList.addSubnet(network, parseInt(prefix), type);
+                else
+                    blockList.addAddress(network, type);
+            }
+            catch (err) {
+                this.log("error", `[Bridge]: server: invalid IP address/network: "${entry}"`);
+            }
+        }
+        return blockList.check(addr, isIPv6(addr) ? "ipv6" : "ipv4");
+    }
+    /*  internal helper function for comparing tokens in constant time  */
+    tokenMatches(token, expected) {
+        const a = Buffer.from(token);
+        const b = Buffer.from(expected);
+        return a.length === b.length && timingSafeEqual(a, b);
     }
     /*  internal helper function for server stopping  */
-    async serverStop() {
-        if (this.config.role !== "server")
-            return;
-        this.log("info", "[Bridge]: service: stop");
-        if (this.server !== null) {
+    async serverStop(endpoint) {
+        if (endpoint.server !== null) {
+            this.log("info", `[Bridge]: server(${endpoint.name}): stop`);
+            try {
+                this.log("info", `[Bridge]: server(${endpoint.name}): listener closing`);
+                endpoint.server.clients.forEach((ws) => { ws.terminate(); });
+                endpoint.server.close();
+            }
+            catch (err) {
+            }
+            endpoint.server = null;
+        }
+        if (endpoint.serverTLS !== null) {
             try {
-                this.log("info", "[Bridge]: server: listener closing");
-                this.server.close();
+                endpoint.serverTLS.close();
             }
             catch (err) {
             }
-            this.server = null;
+            endpoint.serverTLS = null;
         }
     }
+    /*  internal helper function for determining the WebSocket message size limit
+        (for rejecting oversized messages already while receiving their frames)  */
+    wsPayloadLimit() {
+        const maxSize = (this.config.maxSize ?? ModuleConfigDefault.maxSize) * 1024;
+        return maxSize > 0 ? { maxPayload: maxSize } : {};
+    }
+    /*  internal helper function for determining the normalized pinned server certificate fingerprint  */
+    tlsPin() {
+        return (this.config.tls ? this.config.tlsPin ?? "" : "").replace(/[:\s]/g, "").toUpperCase();
+    }
+    /*  internal helper function for establishing a TLS connection to a server with a pinned certificate,
+        where everything written to the connection is held back until the certificate matches the pin  */
+    tlsConnectPinned(endpoint, options, pin) {
+        const socket = tls.connect(options);
+        socket.cork();
+        socket.once("secureConnect", () => {
+            const cert = socket.getPeerCertificate();
+            const fingerprint = (cert?.fingerprint256 ?? "").replace(/:/g, "").toUpperCase();
+            if (fingerprint !== pin) {
+                this.log("error", `[Bridge]: client(${endpoint.name}): server certificate does not match pinned fingerprint (fingerprint: ${cert?.fingerprint256})`);
+                socket.destroy(new Error("server certificate does not match pinned fingerprint"));
+            }
+            else
+                socket.uncork();
+        });
+        return socket;
+    }
     /*  internal helper function for client starting  */
-    async clientStart() {
-        if (this.config.role !== "client")
-            return;
-        this.log("info", `[Bridge]: client: connection initiated (remote: ${this.config.addr}:${this.config.port})`);
-        this.client = new ReconnectingWebSocketNS(`ws://${this.config.addr}:${this.config.port}`, [], {
-            WebSocket,
+    async clientStart(endpoint) {
+        this.log("info", `[Bridge]: client(${endpoint.name}): connection initiated (remote: ${endpoint.addr}:${endpoint.port}, tls: ${this.config.tls ? "yes" : "no"})`);
+        /*  determine WebSocket options  */
+        const options = { ...this.wsPayloadLimit() };
+        if (this.config.token)
+            options.headers = { Authorization: `Bearer ${this.config.token}` };
+        if (this.config.tls) {
+            try {
+                if (this.config.tlsCA)
+                    options.ca = this.tlsMaterial(this.config.tlsCA);
+            }
+            catch (err) {
+                this.log("error", `[Bridge]: client(${endpoint.name}): failed to load TLS certificate authority: ${err}`);
+                this.statusInstance(endpoint, CompanionModule.InstanceStatus.BadConfig, "invalid TLS Certificate Authority");
+                return;
+            }
+            options.rejectUnauthorized = this.config.tlsVerify ?? true;
+        }
+        const pin = this.tlsPin();
+        if (pin !== "") {
+            /*  verify pinned server certificate (before the request with the token is sent)  */
+            options.createConnection = (opts) => {
+                if (!opts.servername && opts.servername !== "")
+                    opts.servername = net.isIP(opts.host ?? "") ? "" : opts.host;
+                return this.tlsConnectPinned(endpoint, opts, pin);
+            };
+        }
+        /*  establish WebSocket connection  */
+        const scheme = this.config.tls ? "wss" : "ws";
+        const host = isIPv6(endpoint.addr) ? `[${endpoint.addr}]` : endpoint.addr;
+        this.statusInstance(endpoint, CompanionModule.InstanceStatus.Connecting);
+        const client = endpoint.client = new ReconnectingWebSocketNS(`${scheme}://${host}:${endpoint.port}`, [], {
+            WebSocket: class extends WebSocket {
+                constructor(url, protocols) {
+                    super(url, protocols, options);
+                }
+            },
             reconnectionDelayGrowFactor: 1.3,
             maxReconnectionDelay: 4000,
+            maxEnqueuedMessages: 0,
             minReconnectionDelay: 1000,
             connectionTimeout: 4000,
             minUptime: 5000
         });
-        this.client.addEventListener("open", ( /* ev */) => {
-            this.log("info", "[Bridge]: client: connection established");
+        const link = endpoint.link = this.linkCreate((msg) => { client.send(msg); }, () => { client.reconnect(); }, this.protocolVersion());
+        let established = false;
+        client.addEventListener("open", ( /* ev */) => {
+            this.log("info", `[Bridge]: client(${endpoint.name}): connection established`);
+            if (endpoint.client !== client)
+                return;
+            this.clientOpened(endpoint, link, established);
+            established = true;
         });
-        this.client.addEventListener("close", (ev) => {
-            this.log("error", `[Bridge]: client: connection closed (code: ${ev.code})`);
+        client.addEventListener("close", (ev) => {
+            if (endpoint.client !== client)
+                return;
+            this.log("error", `[Bridge]: client(${endpoint.name}): connection closed (code: ${ev.code})`);
+            this.statusInstance(endpoint, CompanionModule.InstanceStatus.ConnectionFailure, `connection closed (code: ${ev.code})`);
+            this.statusUpdate(endpoint, { connected: false });
         });
-        this.client.addEventListener("error", (ev) => {
-            this.log("error", `[Bridge]: client: connection error (reason: ${ev.message})`);
+        client.addEventListener("error", (ev) => {
+            this.log("error", `[Bridge]: client(${endpoint.name}): connection error (reason: ${ev.message})`);
         });
-        this.client.addEventListener("message", (ev) => {
-            const msg = ev.data.toString();
-            if (this.config.debug)
-                this.log("info", `[Bridge]: client: received message: ${msg}`);
-            this.receiveState(msg);
+        client.addEventListener("message", (ev) => { this.linkMessage(endpoint, link, ev.data.toString(), "rw", null); });
+    }
+    /*  internal helper function for starting the link of an (re-)established client connection  */
+    clientOpened(endpoint, link, reconnect) {
+        this.statusInstance(endpoint, CompanionModule.InstanceStatus.Ok);
+        this.statusUpdate(endpoint, { connected: true, reconnects: endpoint.status.reconnects + (reconnect ? 1 : 0) });
+        /*  start a new link, but keep the outgoing sequence numbering,
+            as messages unacknowledged during the disconnect are re-sent with their original numbers
+            (MQTT always uses plain states, as they are mapped onto topics)  */
+        link.version = endpoint.transport === "mqtt" ? 0 : this.protocolVersion();
+        link.seqIn = 0;
+        link.lastSeen = Date.now();
+        link.lastPing = Date.now();
+        /*  announce ourself (and our protocol version) to the server
+            (not for MQTT, as there is no server, but just a broker, and not in the plain
+            compatibility mode without an explicitly configured name, as custom peers
+            would receive it as an unexpected state, and the server falls back to our address)  */
+        if (endpoint.transport !== "mqtt" && (link.version > 0 || this.config.name))
+            link.send(BridgeHello(this.config.name || this.label, link.version));
+        /*  send the states queued during the disconnect
+            (before the snapshot, as it is more recent)  */
+        this.linkDequeue(endpoint, link);
+        /*  initially emit all states to the server  */
+        this.actionEmitState(undefined, false, endpoint.name);
+    }
+    /*  internal helper function for TCP server starting  */
+    async tcpServerStart(endpoint) {
+        this.log("info", `[Bridge]: server(${endpoint.name}): TCP listener initiated (local: ${endpoint.addr}:${endpoint.port}, tls: ${this.config.tls ? "yes" : "no"})`);
+        this.statusInstance(endpoint, CompanionModule.InstanceStatus.Connecting);
+        const accept = (socket) => {
+            /*  determine, authenticate and authorize client  */
+            const remoteAddr = socket.remoteAddress ?? "0.0.0.0";
+            const remote = `${remoteAddr}:${socket.remotePort ?? 0}`;
+            const access = this.peerAccess(remoteAddr, null);
+            if (access === "none") {
+                this.log("warn", `[Bridge]: server(${endpoint.name}): connection rejected (client: ${remote})`);
+                socket.destroy();
+                return;
+            }
+            this.log("info", `[Bridge]: server(${endpoint.name}): connection received (client: ${remote}, access: ${access})`);
+            const link = this.linkCreate((msg) => { socket.write(this.lineFormat(msg)); }, () => { socket.destroy(); }, 0);
+            endpoint.peers.set(socket, { name: remote, addr: remoteAddr, remote, link });
+            this.statusUpdate(endpoint, { connected: true, clients: endpoint.peers.size });
+            /*  react on events  */
+            socket.on("data", this.lineReader((msg) => {
+                this.linkMessage(endpoint, link, msg, access, socket);
+            }));
+            socket.on("close", () => {
+                this.log("info", `[Bridge]: server(${endpoint.name}): connection closed (client: ${remote})`);
+                endpoint.peers.delete(socket);
+                if (endpoint.tcp === server)
+                    this.statusUpdate(endpoint, { connected: endpoint.peers.size > 0, clients: endpoint.peers.size });
+            });
+            socket.on("error", (err) => {
+                this.log("error", `[Bridge]: server(${endpoint.name}): connection error (client: ${remote}, reason: ${err.message})`);
+            });
+            /*  initially emit all states to the new client  */
+            this.actionEmitState(undefined, false, endpoint.name, socket);
+        };
+        /*  provide plain or TLS listener  */
+        let server;
+        if (this.config.tls) {
+            try {
+                server = tls.createServer({
+                    cert: this.tlsMaterial(this.config.tlsCert),
+                    key: this.tlsMaterial(this.config.tlsKey)
+                }, accept);
+            }
+            catch (err) {
+                this.log("error", `[Bridge]: server(${endpoint.name}): failed to load TLS certificate/key: ${err}`);
+                this.statusInstance(endpoint, CompanionModule.InstanceStatus.BadConfig, "invalid TLS Certificate or Key");
+                return;
+            }
+        }
+        else
+            server = net.createServer(accept);
+        endpoint.tcp = server;
+        server.on("listening", () => {
+            this.log("info", `[Bridge]: server(${endpoint.name}): listener established`);
+            if (endpoint.tcp === server)
+                this.statusInstance(endpoint, CompanionModule.InstanceStatus.Ok);
+        });
+        server.on("error", (err) => {
+            if (endpoint.tcp === server)
+                this.serverError(endpoint, err);
+        });
+        server.listen(endpoint.port, endpoint.addr);
+    }
+    /*  internal helper function for TCP client starting  */
+    async tcpClientStart(endpoint) {
+        this.log("info", `[Bridge]: client(${endpoint.name}): TCP connection initiated (remote: ${endpoint.addr}:${endpoint.port}, tls: ${this.config.tls ? "yes" : "no"})`);
+        /*  determine TLS options  */
+        const options = { host: endpoint.addr, port: endpoint.port };
+        if (this.config.tls) {
+            try {
+                if (this.config.tlsCA)
+                    options.ca = this.tlsMaterial(this.config.tlsCA);
+            }
+            catch (err) {
+                this.log("error", `[Bridge]: client(${endpoint.name}): failed to load TLS certificate authority: ${err}`);
+                this.statusInstance(endpoint, CompanionModule.InstanceStatus.BadConfig, "invalid TLS Certificate Authority");
+                return;
+            }
+            options.rejectUnauthorized = this.config.tlsVerify ?? true;
+            options.servername = net.isIP(endpoint.addr) ? "" : endpoint.addr;
+        }
+        const pin = this.tlsPin();
+        this.statusInstance(endpoint, CompanionModule.InstanceStatus.Connecting);
+        const link = endpoint.link = this.linkCreate((msg) => {
+            /*  drop messages while disconnected (states are queued by the link, if configured)  */
+            if (endpoint.socket !== null && endpoint.status.connected)
+                endpoint.socket.write(this.lineFormat(msg));
+        }, () => { endpoint.socket?.destroy(); }, this.protocolVersion());
+        /*  establish TCP connection (and re-establish it with the same backoff as for WebSocket)  */
+        let established = false;
+        let delay = 1000;
+        const connect = () => {
+            endpoint.retry = null;
+            let socket;
+            if (!this.config.tls)
+                socket = net.connect(options);
+            else if (pin !== "")
+                socket = this.tlsConnectPinned(endpoint, options, pin);
+            else
+                socket = tls.connect(options);
+            endpoint.socket = socket;
+            socket.on(this.config.tls ? "secureConnect" : "connect", () => {
+                if (socket.destroyed)
+                    return;
+                this.log("info", `[Bridge]: client(${endpoint.name}): connection established`);
+                delay = 1000;
+                this.clientOpened(endpoint, link, established);
+                established = true;
+            });
+            socket.on("data", this.lineReader((msg) => {
+                this.linkMessage(endpoint, link, msg, "rw", null);
+            }));
+            socket.on("error", (err) => {
+                this.log("error", `[Bridge]: client(${endpoint.name}): connection error (reason: ${err.message})`);
+            });
+            socket.on("close", () => {
+                if (endpoint.socket !== socket)
+                    return;
+                this.log("error", `[Bridge]: client(${endpoint.name}): connection closed`);
+                this.statusInstance(endpoint, CompanionModule.InstanceStatus.ConnectionFailure, "connection closed");
+                this.statusUpdate(endpoint, { connected: false });
+                endpoint.retry = setTimeout(connect, delay);
+                delay = Math.min(delay * 1.3, 4000);
+            });
+        };
+        connect();
+    }
+    /*  internal helper function for TCP server/client stopping  */
+    async tcpStop(endpoint) {
+        if (endpoint.retry !== null) {
+            clearTimeout(endpoint.retry);
+            endpoint.retry = null;
+        }
+        if (endpoint.socket !== null) {
+            this.log("info", `[Bridge]: client(${endpoint.name}): connection closing`);
+            const socket = endpoint.socket;
+            endpoint.socket = null;
+            endpoint.link = null;
+            socket.destroy();
+        }
+        if (endpoint.tcp !== null) {
+            this.log("info", `[Bridge]: server(${endpoint.name}): listener closing`);
+            for (const handle of endpoint.peers.keys())
+                handle.destroy();
+            endpoint.tcp.close();
+            endpoint.tcp = null;
+            endpoint.peers.clear();
+        }
+    }
+    /*  internal helper function for formatting a message as a line  */
+    lineFormat(msg) {
+        return msg.endsWith("\n") ? msg : msg + "\r\n";
+    }
+    /*  internal helper function for splitting a stream of data into lines  */
+    lineReader(receive) {
+        let buffer = "";
+        let skip = false;
+        return (data) => {
+            buffer += data.toString();
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            for (const line of lines) {
+                if (skip)
+                    skip = false;
+                else if (line !== "")
+                    receive(line);
+            }
+            /*  pass an oversized incomplete line on for being dropped and skip its remainder  */
+            const maxSize = (this.config.maxSize ?? ModuleConfigDefault.maxSize) * 1024;
+            if (maxSize > 0 && buffer.length > maxSize) {
+                if (!skip)
+                    receive(buffer);
+                buffer = "";
+                skip = true;
+            }
+        };
+    }
+    /*  internal helper function for UDP starting (unicast server/client or multicast)  */
+    async udpStart(endpoint) {
+        const multicast = this.addrMatches(endpoint.addr, "224.0.0.0/4, ff00::/8");
+        this.log("info", `[Bridge]: ${endpoint.role}(${endpoint.name}): UDP socket initiated ` +
+            `(${endpoint.role === "server" || multicast ? "local" : "remote"}: ${endpoint.addr}:${endpoint.port}, multicast: ${multicast ? "yes" : "no"})`);
+        this.statusInstance(endpoint, CompanionModule.InstanceStatus.Connecting);
+        const socket = endpoint.udp = dgram.createSocket({ type: isIPv6(endpoint.addr) ? "udp6" : "udp4", reuseAddr: multicast });
+        /*  clients and multicast members send to the configured address,
+            servers send back to all clients they have received datagrams from  */
+        if (endpoint.role === "client" || multicast)
+            endpoint.link = this.linkCreate((msg) => {
+                socket.send(this.lineFormat(msg), endpoint.port, endpoint.addr);
+            }, () => { }, this.protocolVersion());
+        /*  react on events  */
+        socket.on("message", (data, rinfo) => {
+            const remote = `${rinfo.address}:${rinfo.port}`;
+            let link = endpoint.link;
+            let handle = null;
+            let access = "rw";
+            if (endpoint.role === "server" || multicast) {
+                access = this.peerAccess(rinfo.address, null);
+                if (access === "none") {
+                    if (this.config.debug)
+                        this.log("warn", `[Bridge]: ${endpoint.role}(${endpoint.name}): datagram rejected (client: ${remote})`);
+                    return;
+                }
+            }
+            if (multicast) {
+                /*  determine (or implicitly create) the link of the group member, as all members
+                    send to the group with their own sequence numbers, and reply to the member only
+                    (with unsequenced messages, as they would interfere with its group sequence)  */
+                let member = endpoint.members.get(remote);
+                if (member === undefined) {
+                    if (endpoint.members.size >= BridgeUdpClients) {
+                        if (this.config.debug)
+                            this.log("warn", `[Bridge]: ${endpoint.role}(${endpoint.name}): datagram rejected (member: ${remote}, reason: member limit reached)`);
+                        return;
+                    }
+                    this.log("info", `[Bridge]: ${endpoint.role}(${endpoint.name}): member registered (member: ${remote})`);
+                    member = this.linkCreate((msg) => {
+                        socket.send(this.lineFormat(msg), rinfo.port, rinfo.address);
+                    }, () => {
+                        this.log("info", `[Bridge]: ${endpoint.role}(${endpoint.name}): member unregistered (member: ${remote})`);
+                        endpoint.members.delete(remote);
+                    }, this.protocolVersion());
+                    member.reply = true;
+                    /*  share the unacknowledged messages, as members acknowledge the states sent to the group  */
+                    member.pending = endpoint.link.pending;
+                    endpoint.members.set(remote, member);
+                }
+                link = member;
+                /*  any member keeps the group alive  */
+                endpoint.link.lastSeen = Date.now();
+            }
+            else if (endpoint.role === "server") {
+                /*  determine (or implicitly register) client  */
+                for (const [key, peer] of endpoint.peers.entries())
+                    if (peer.remote === remote)
+                        handle = key;
+                if (handle === null) {
+                    if (endpoint.peers.size >= BridgeUdpClients) {
+                        if (this.config.debug)
+                            this.log("warn", `[Bridge]: server(${endpoint.name}): datagram rejected (client: ${remote}, reason: client limit reached)`);
+                        return;
+                    }
+                    const key = handle = { address: rinfo.address, port: rinfo.port };
+                    this.log("info", `[Bridge]: server(${endpoint.name}): client registered (client: ${remote}, access: ${access})`);
+                    endpoint.peers.set(key, {
+                        name: remote, addr: rinfo.address, remote,
+                        link: this.linkCreate((msg) => {
+                            socket.send(this.lineFormat(msg), rinfo.port, rinfo.address);
+                        }, () => {
+                            this.log("info", `[Bridge]: server(${endpoint.name}): client unregistered (client: ${remote})`);
+                            endpoint.peers.delete(key);
+                            this.statusUpdate(endpoint, { connected: endpoint.peers.size > 0, clients: endpoint.peers.size });
+                        }, 0)
+                    });
+                    this.statusUpdate(endpoint, { connected: true, clients: endpoint.peers.size });
+                    /*  do not emit all states yet, as a single (possibly spoofed) datagram should
+                        not cause a snapshot to be sent, but wait for the client to announce itself
+                        or to request a resync  */
+                }
+                link = endpoint.peers.get(handle).link;
+            }
+            for (const msg of data.toString().split(/\r?\n/).filter((line) => line !== ""))
+                this.linkMessage(endpoint, link, msg, access, handle);
+        });
+        socket.on("listening", () => {
+            this.log("info", `[Bridge]: ${endpoint.role}(${endpoint.name}): UDP socket established`);
+            if (endpoint.udp !== socket)
+                return;
+            if (multicast) {
+                socket.addMembership(endpoint.addr);
+                socket.setMulticastLoopback(false);
+            }
+            if (endpoint.role === "client" || multicast)
+                this.clientOpened(endpoint, endpoint.link, false);
+            else
+                this.statusInstance(endpoint, CompanionModule.InstanceStatus.Ok);
+        });
+        socket.on("error", (err) => {
+            if (endpoint.udp === socket)
+                this.serverError(endpoint, err);
+        });
+        if (multicast)
+            socket.bind(endpoint.port);
+        else if (endpoint.role === "server")
+            socket.bind(endpoint.port, endpoint.addr);
+        else
+            socket.bind(0);
+    }
+    /*  internal helper function for UDP stopping  */
+    async udpStop(endpoint) {
+        if (endpoint.udp !== null) {
+            this.log("info", `[Bridge]: ${endpoint.role}(${endpoint.name}): UDP socket closing`);
+            endpoint.udp.close();
+            endpoint.udp = null;
+            endpoint.link = null;
+            endpoint.peers.clear();
+            endpoint.members.clear();
+        }
+    }
+    /*  internal helper function for MQTT client starting  */
+    async mqttStart(endpoint) {
+        this.log("info", `[Bridge]: client(${endpoint.name}): MQTT connection initiated (broker: ${endpoint.addr}:${endpoint.port}, tls: ${this.config.tls ? "yes" : "no"})`);
+        /*  determine MQTT options  */
+        const options = {
+            reconnectPeriod: 2000,
+            connectTimeout: 4000,
+            queueQoSZero: false
+        };
+        if (this.config.token) {
+            options.username = this.config.name || this.label;
+            options.password = this.config.token;
+        }
+        if (this.config.tls) {
+            try {
+                if (this.config.tlsCA)
+                    options.ca = this.tlsMaterial(this.config.tlsCA);
+            }
+            catch (err) {
+                this.log("error", `[Bridge]: client(${endpoint.name}): failed to load TLS certificate authority: ${err}`);
+                this.statusInstance(endpoint, CompanionModule.InstanceStatus.BadConfig, "invalid TLS Certificate Authority");
+                return;
+            }
+            options.rejectUnauthorized = this.config.tlsVerify ?? true;
+        }
+        const topicOut = (this.config.topicOut ?? ModuleConfigDefault.topicOut).replace(/\/+$/, "");
+        const topicIn = (this.config.topicIn ?? ModuleConfigDefault.topicIn).replace(/\/+$/, "");
+        /*  establish MQTT connection  */
+        const scheme = this.config.tls ? "mqtts" : "mqtt";
+        const host = isIPv6(endpoint.addr) ? `[${endpoint.addr}]` : endpoint.addr;
+        this.statusInstance(endpoint, CompanionModule.InstanceStatus.Connecting);
+        const pin = this.tlsPin();
+        const client = endpoint.mqtt = pin === "" ?
+            mqttConnect(`${scheme}://${host}:${endpoint.port}`, options) :
+            new MqttClient(() => this.tlsConnectPinned(endpoint, {
+                host: endpoint.addr,
+                port: endpoint.port,
+                servername: net.isIP(endpoint.addr) ? undefined : endpoint.addr,
+                ca: options.ca,
+                rejectUnauthorized: options.rejectUnauthorized
+            }, pin), options);
+        const link = endpoint.link = this.linkCreate((msg) => {
+            for (const [topic, payload] of this.mqttTopics(topicOut, msg))
+                client.publish(topic, payload);
+        }, () => { client.reconnect(); }, 0);
+        let established = false;
+        client.on("connect", () => {
+            this.log("info", `[Bridge]: client(${endpoint.name}): connection established`);
+            if (endpoint.mqtt !== client)
+                return;
+            client.subscribe([topicIn, `${topicIn}/#`]);
+            this.clientOpened(endpoint, link, established);
+            established = true;
+        });
+        client.on("close", () => {
+            if (endpoint.mqtt !== client || !endpoint.status.connected)
+                return;
+            this.log("error", `[Bridge]: client(${endpoint.name}): connection closed`);
+            this.statusInstance(endpoint, CompanionModule.InstanceStatus.ConnectionFailure, "connection closed");
+            this.statusUpdate(endpoint, { connected: false });
         });
+        client.on("error", (err) => {
+            this.log("error", `[Bridge]: client(${endpoint.name}): connection error (reason: ${err.message})`);
+            if (endpoint.mqtt === client)
+                this.statusInstance(endpoint, CompanionModule.InstanceStatus.ConnectionFailure, err.message);
+        });
+        client.on("message", (topic, payload) => {
+            const msg = this.mqttMessage(topicIn, topic, payload.toString());
+            if (msg !== null)
+                this.linkMessage(endpoint, link, msg, "rw", null);
+        });
+    }
+    /*  internal helper function for mapping a message onto MQTT topics  */
+    mqttTopics(prefix, msg) {
+        const topics = [];
+        const control = this.controlMessage(msg);
+        if (control !== null)
+            topics.push([`${prefix}/@bridge`, msg]);
+        else {
+            const obj = this.stateObject(msg);
+            if (obj !== null) {
+                /*  publish each leaf value of a JSON state to the topic of its key path  */
+                const publish = (path, value) => {
+                    if (typeof value === "object" && value !== null && !Array.isArray(value))
+                        for (const key of Object.keys(value))
+                            publish([...path, key], value[key]);
+                    else
+                        topics.push([[prefix, ...path].join("/"), typeof value === "string" ? value : JSON.stringify(value)]);
+                };
+                publish([], obj);
+            }
+            else
+                topics.push([prefix, msg.replace(/\r?\n$/, "")]);
+        }
+        return topics;
+    }
+    /*  internal helper function for mapping a received MQTT topic onto a message  */
+    mqttMessage(prefix, topic, payload) {
+        if (topic === prefix)
+            return payload;
+        else if (topic === `${prefix}/@bridge`)
+            return payload;
+        else if (topic.startsWith(`${prefix}/`)) {
+            const obj = {};
+            ObjectPath.set(obj, topic.substring(prefix.length + 1).split("/"), payload);
+            return JSON.stringify(obj);
+        }
+        return null;
+    }
+    /*  internal helper function for MQTT client stopping  */
+    async mqttStop(endpoint) {
+        if (endpoint.mqtt !== null) {
+            this.log("info", `[Bridge]: client(${endpoint.name}): connection closing`);
+            endpoint.mqtt.end(true);
+            endpoint.mqtt = null;
+            endpoint.link = null;
+        }
+    }
+    /*  internal helper function for loading TLS material from either a file or pasted PEM content  */
+    tlsMaterial(value) {
+        if (!value.includes("-----BEGIN "))
+            return fs.readFileSync(value, { encoding: "utf8" });
+        /*  re-format PEM blocks, as pasting into single-line input fields loses the line breaks  */
+        const blocks = [];
+        for (const m of value.matchAll(/-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END \1-----/g)) {
+            const body = m[2].replace(/\s+/g, "").replace(/(.{64})/g, "$1\n").replace(/\n$/, "");
+            blocks.push(`-----BEGIN ${m[1]}-----\n${body}\n-----END ${m[1]}-----\n`);
+        }
+        return blocks.join("");
     }
     /*  internal helper function for client stopping  */
-    async clientStop() {
-        if (this.config.role !== "client")
-            return;
-        this.log("info", "[Bridge]: client: stop");
-        if (this.client !== null) {
+    async clientStop(endpoint) {
+        if (endpoint.client !== null) {
+            this.log("info", `[Bridge]: client(${endpoint.name}): stop`);
             try {
-                this.log("info", "[Bridge]: client: connection closing");
-                this.client.close();
+                this.log("info", `[Bridge]: client(${endpoint.name}): connection closing`);
+                endpoint.client.close();
             }
             catch (err) {
             }
-            this.client = null;
+            endpoint.client = null;
+            endpoint.link = null;
+        }
+    }
+    /*  internal helper function for determining the configured protocol version  */
+    protocolVersion() {
+        return this.config.protocol === "v1" ? BridgeProtocolVersion : 0;
+    }
+    /*  internal helper function for creating a link  */
+    linkCreate(send, close, version) {
+        const now = Date.now();
+        return {
+            send, close, version, seqOut: 0, seqIn: 0, lastSeen: now, lastPing: now, pending: new Map(),
+            batch: null, batchTimer: null, queue: [], queued: null, rateStart: now, rateCount: 0
+        };
+    }
+    /*  internal helper function for selecting the links to send to  */
+    *linksSelect(name = "*", sender = null, target = null, peers = "") {
+        for (const endpoint of this.endpoints.values()) {
+            if (name !== "*" && name !== endpoint.name)
+                continue;
+            for (const [handle, peer] of endpoint.peers.entries()) {
+                if (sender !== null && handle === sender)
+                    continue;
+                if (target !== null && handle !== target)
+                    continue;
+                if (peers !== "" && !this.peerMatches(endpoint, handle, peers))
+                    continue;
+                yield { endpoint, link: peer.link, handle: handle };
+            }
+            if (endpoint.link !== null)
+                yield { endpoint, link: endpoint.link, handle: null };
+        }
+    }
+    /*  internal helper function for sending a protocol message on a link  */
+    linkSend(endpoint, link, type, fields, ack = false) {
+        const seq = link.reply ? undefined : ++link.seqOut;
+        const msg = JSON.stringify({ "@bridge": type, v: BridgeProtocolVersion, seq, ...fields, ...(ack ? { ack: true } : {}) });
+        if (ack && seq !== undefined)
+            link.pending.set(seq, { msg, sent: Date.now(), retries: 0 });
+        if (this.config.debug)
+            this.log("info", `[Bridge]: ${endpoint.role}(${endpoint.name}): send message: ${msg}`);
+        link.send(msg);
+    }
+    /*  internal helper function for sending states on a link (either plain or as protocol messages)  */
+    linkSendStates(endpoint, link, msgs, snapshot = false, trace = null) {
+        if (msgs.length === 0)
+            return;
+        /*  coalesce a single JSON state into the batch of the link
+            (but not relayed/routed ones, as they keep their own trace)  */
+        const batch = this.config.batch ?? ModuleConfigDefault.batch;
+        if (batch > 0 && !snapshot && msgs.length === 1) {
+            const data = trace === null ? this.stateObject(msgs[0]) : null;
+            if (data !== null) {
+                link.batch = this.stateMerge(link.batch ?? {}, data);
+                if (link.batchTimer === null)
+                    link.batchTimer = setTimeout(() => { this.linkFlush(endpoint, link); }, batch);
+                return;
+            }
+            /*  keep the order of JSON and raw states  */
+            this.linkFlush(endpoint, link);
+        }
+        this.linkTransmit(endpoint, link, msgs, snapshot, trace);
+    }
+    /*  internal helper function for sending the batch of a link  */
+    linkFlush(endpoint, link) {
+        if (link.batchTimer !== null) {
+            clearTimeout(link.batchTimer);
+            link.batchTimer = null;
+        }
+        if (link.batch !== null) {
+            const msg = JSON.stringify(link.batch) + "\r\n";
+            link.batch = null;
+            this.linkTransmit(endpoint, link, [msg], false);
+        }
+    }
+    /*  internal helper function for transmitting states on a link (either plain or as protocol messages)  */
+    linkTransmit(endpoint, link, msgs, snapshot, trace = null) {
+        if (link === endpoint.link && !endpoint.status.connected) {
+            this.linkEnqueue(endpoint, link, msgs);
+            return;
+        }
+        if (link.version === 0) {
+            for (const msg of msgs) {
+                if (this.config.debug)
+                    this.log("info", `[Bridge]: ${endpoint.role}(${endpoint.name}): send state: message: ${msg}`);
+                link.send(msg);
+            }
+            return;
+        }
+        const states = msgs.map((msg) => {
+            const data = this.stateObject(msg);
+            return data !== null ? { data } : { raw: msg };
+        });
+        const ack = this.config.acks ?? false;
+        const origin = { origin: trace?.origin ?? this.origin, hops: trace !== null ? trace.hops + 1 : 0 };
+        if (snapshot)
+            this.linkSend(endpoint, link, "snapshot", { states, ...origin }, ack);
+        else
+            for (const state of states)
+                this.linkSend(endpoint, link, "state", { ...state, ...origin }, ack);
+    }
+    /*  internal helper function for queueing states while the connection of a client endpoint is down  */
+    linkEnqueue(endpoint, link, msgs) {
+        const queue = this.config.queue ?? ModuleConfigDefault.queue;
+        if (queue === "none") {
+            if (this.config.debug)
+                this.log("info", `[Bridge]: ${endpoint.role}(${endpoint.name}): drop state while disconnected`);
+            return;
+        }
+        for (const msg of msgs) {
+            const data = queue === "coalesce" ? this.stateObject(msg) : null;
+            if (data !== null)
+                link.queued = this.stateMerge(link.queued ?? {}, data);
+            else
+                link.queue.push(msg);
+        }
+        const limit = this.config.queueLimit ?? ModuleConfigDefault.queueLimit;
+        if (link.queue.length > limit) {
+            if (this.config.debug)
+                this.log("info", `[Bridge]: ${endpoint.role}(${endpoint.name}): drop ${link.queue.length - limit} oldest queued state(s)`);
+            link.queue.splice(0, link.queue.length - limit);
+        }
+    }
+    /*  internal helper function for sending the queued states after the connection of a client endpoint is re-established  */
+    linkDequeue(endpoint, link) {
+        const msgs = link.queued !== null ? [JSON.stringify(link.queued) + "\r\n", ...link.queue] : link.queue;
+        link.queue = [];
+        link.queued = null;
+        if (msgs.length > 0) {
+            if (this.config.debug)
+                this.log("info", `[Bridge]: ${endpoint.role}(${endpoint.name}): send ${msgs.length} queued state(s)`);
+            this.linkTransmit(endpoint, link, msgs, false);
+        }
+    }
+    /*  internal helper function for parsing a JSON state (returns null for raw states)  */
+    stateObject(msg) {
+        try {
+            const data = JSON.parse(msg);
+            if (typeof data === "object" && data !== null && !Array.isArray(data))
+                return data;
+        }
+        catch (err) {
+        }
+        return null;
+    }
+    /*  internal helper function for setting a value in a JSON state by its key path
+        (building nested objects only, even for numeric path segments)  */
+    stateAssign(target, path, value) {
+        const keys = path.split(".");
+        let node = target;
+        for (const key of keys.slice(0, -1)) {
+            if (typeof node[key] !== "object" || node[key] === null || Array.isArray(node[key]))
+                node[key] = {};
+            node = node[key];
+        }
+        node[keys[keys.length - 1]] = value;
+    }
+    /*  internal helper function for mapping a JSON state between the local and remote keys and values
+        (sent states from local to remote, received states from remote to local)  */
+    stateMap(data, endpoint, outgoing) {
+        const rules = this.mappings.filter((rule) => rule.endpoint === "*" || rule.endpoint === endpoint);
+        if (rules.length === 0)
+            return data;
+        const result = {};
+        const walk = (node, path) => {
+            for (const key of Object.keys(node)) {
+                let value = node[key];
+                if (typeof value === "object" && value !== null && !Array.isArray(value) && Object.keys(value).length > 0) {
+                    walk(value, [...path, key]);
+                    continue;
+                }
+                let leaf = [...path, key].join(".");
+                let match = null;
+                for (const rule of rules) {
+                    const from = outgoing ? rule.local : rule.remote;
+                    const to = outgoing ? rule.remote : rule.local;
+                    if ((leaf === from || leaf.startsWith(from + ".")) && (match === null || from.length > match.from.length))
+                        match = { from, to, table: rule.table };
+                }
+                if (match !== null) {
+                    leaf = match.to + leaf.substring(match.from.length);
+                    if (match.table !== "")
+                        value = this.stateMapValue(value, this.tables.get(match.table), outgoing);
+                }
+                this.stateAssign(result, leaf, value);
+            }
+        };
+        walk(data, []);
+        return result;
+    }
+    /*  internal helper function for mapping a single value through a mapping table  */
+    stateMapValue(value, table, outgoing) {
+        const str = this.feedbackValueString(value);
+        const entry = table.find((entry) => (outgoing ? entry.local : entry.remote) === str);
+        if (entry === undefined)
+            return value;
+        const mapped = outgoing ? entry.remote : entry.local;
+        try {
+            return JSON.parse(mapped);
+        }
+        catch (err) {
+            return mapped;
+        }
+    }
+    /*  internal helper function for mapping a received state (raw states are passed through)  */
+    stateMapIncoming(msg, endpoint) {
+        if (this.mappings.length === 0)
+            return msg;
+        const data = this.stateObject(msg);
+        return data !== null ? JSON.stringify(this.stateMap(data, endpoint, false)) : msg;
+    }
+    /*  internal helper function for mapping a sent state (raw states are passed through)  */
+    stateMapOutgoing(msg, endpoint) {
+        if (this.mappings.length === 0)
+            return msg;
+        const data = this.stateObject(msg);
+        return data !== null ? JSON.stringify(this.stateMap(data, endpoint, true)) + "\r\n" : msg;
+    }
+    /*  internal helper function for deeply merging JSON states  */
+    stateMerge(target, source) {
+        for (const key of Object.keys(source)) {
+            const value = source[key];
+            if (typeof value === "object" && value !== null && !Array.isArray(value)
+                && typeof target[key] === "object" && target[key] !== null && !Array.isArray(target[key]))
+                this.stateMerge(target[key], value);
+            else
+                target[key] = value;
+        }
+        return target;
+    }
+    /*  internal helper function for handling a message received by a transport
+        (never rejects, as the transport event handlers do not handle rejections)  */
+    async linkMessage(endpoint, link, msg, access, handle) {
+        try {
+            await this.linkReceive(endpoint, link, msg, access, handle);
+        }
+        catch (err) {
+            this.log("error", `[Bridge]: ${endpoint.role}(${endpoint.name}): failed to process received message: ${err}`);
+        }
+    }
+    /*  internal helper function for receiving a message on a link  */
+    async linkReceive(endpoint, link, msg, access, handle) {
+        const peer = handle !== null ? endpoint.peers.get(handle) : undefined;
+        const prefix = `[Bridge]: ${endpoint.role}(${endpoint.name})`;
+        const client = peer !== undefined ? ` (client: ${peer.remote})` : "";
+        /*  protect against oversized messages and flooding peers  */
+        const now = Date.now();
+        const maxSize = (this.config.maxSize ?? ModuleConfigDefault.maxSize) * 1024;
+        const maxRate = this.config.maxRate ?? ModuleConfigDefault.maxRate;
+        if (maxSize > 0 && Buffer.byteLength(msg) > maxSize) {
+            this.log("warn", `${prefix}: drop message exceeding size limit (size: ${Buffer.byteLength(msg)} bytes)${client}`);
+            endpoint.status.droppedSize++;
+            endpoint.dropped = true;
+            return;
+        }
+        if (maxRate > 0) {
+            if (now - link.rateStart >= 1000) {
+                link.rateStart = now;
+                link.rateCount = 0;
+            }
+            if (++link.rateCount > maxRate) {
+                if (link.rateCount === maxRate + 1)
+                    this.log("warn", `${prefix}: drop messages exceeding rate limit of ${maxRate} messages per second${client}`);
+                endpoint.status.droppedRate++;
+                endpoint.dropped = true;
+                return;
+            }
+        }
+        if (this.config.debug)
+            this.log("info", `${prefix}: received message: ${msg}`);
+        link.lastSeen = now;
+        this.statusUpdate(endpoint, { lastMessage: link.lastSeen });
+        /*  handle plain states (compatibility mode)  */
+        const control = this.controlMessage(msg);
+        if (control === null) {
+            await this.linkState(endpoint, msg, access, handle);
+            return;
+        }
+        /*  check sequence number for duplicates and lost messages  */
+        if (typeof control.seq === "number") {
+            if (control.seq <= link.seqIn) {
+                if (this.config.debug)
+                    this.log("info", `${prefix}: ignore duplicate message (seq: ${control.seq})`);
+                if (control.ack === true && link.version > 0)
+                    this.linkSend(endpoint, link, "ack", { ref: control.seq });
+                return;
+            }
+            if (link.seqIn > 0 && control.seq > link.seqIn + 1) {
+                this.log("warn", `${prefix}: message(s) lost (expected seq: ${link.seqIn + 1}, received seq: ${control.seq})${client}`);
+                if (link.version > 0)
+                    this.linkSend(endpoint, link, "request", {});
+            }
+            link.seqIn = control.seq;
+        }
+        /*  dispatch according to message type  */
+        const type = control["@bridge"];
+        if (type === "hello") {
+            /*  protocol version handshake: agree on the lower of both versions
+                (not for MQTT, as there the plain states are mapped onto topics)  */
+            if (endpoint.transport === "mqtt")
+                return;
+            if (control.v !== undefined && !(Number.isInteger(control.v) && control.v >= 0)) {
+                this.log("warn", `${prefix}: invalid protocol version "${control.v}"${client}`);
+                link.send(JSON.stringify({ "@bridge": "error", v: BridgeProtocolVersion, message: "invalid protocol version" }));
+                return;
+            }
+            link.version = Math.min(this.protocolVersion(), control.v ?? 0);
+            if (link.version === 0 && !link.reply)
+                link.pending.clear();
+            if (peer !== undefined) {
+                const name = typeof control.name === "string" && control.name !== "" ? control.name : peer.remote;
+                this.log("info", `${prefix}: client announced itself (client: ${peer.remote}, name: "${name}", protocol: ${link.version})`);
+                peer.name = name;
+                this.statusUpdate(endpoint, {});
+                /*  answer protocol-aware clients with our own protocol version  */
+                if (control.v !== undefined)
+                    link.send(BridgeHello(this.config.name || this.label, this.protocolVersion()));
+                /*  re-emit all states, as they might have been targeted to the announced name
+                    or have to be sent with the agreed protocol version  */
+                await this.actionEmitState(undefined, false, endpoint.name, handle);
+            }
+            else
+                this.log("info", `${prefix}: server announced itself (protocol: ${link.version})`);
+        }
+        else if (type === "resync" || type === "request") {
+            this.log("info", `${prefix}: resync requested${client}`);
+            await this.actionEmitState(undefined, false, endpoint.name, handle);
+        }
+        else if (type === "state" || type === "snapshot") {
+            /*  detect states looping back to us or bouncing around between relays/routes  */
+            const trace = typeof control.origin === "string" && Number.isInteger(control.hops) ?
+                { origin: control.origin, hops: control.hops } :
+                null;
+            const maxHops = this.config.maxHops ?? ModuleConfigDefault.maxHops;
+            if (trace !== null && (trace.origin === this.origin || (maxHops > 0 && trace.hops >= maxHops))) {
+                if (this.config.debug)
+                    this.log("info", `${prefix}: drop looping state (origin: ${trace.origin}, hops: ${trace.hops})${client}`);
+                endpoint.status.droppedLoop++;
+                endpoint.dropped = true;
+                if (control.ack === true && link.version > 0)
+                    this.linkSend(endpoint, link, "ack", { ref: control.seq });
+                return;
+            }
+            const states = type === "state" ? [control] : (Array.isArray(control.states) ? control.states : []);
+            let accepted = true;
+            for (const state of states) {
+                const msg = typeof state?.raw === "string" ? state.raw : JSON.stringify(state?.data ?? {});
+                if (!await this.linkState(endpoint, msg, access, handle, trace))
+                    accepted = false;
+            }
+            if (type === "snapshot" && accepted)
+                this.receiveSnapshot(states, endpoint.name);
+            if (link.version > 0) {
+                if (!accepted)
+                    this.linkSend(endpoint, link, "error", { ref: control.seq, message: "state rejected (read-only access)" });
+                else if (control.ack === true)
+                    this.linkSend(endpoint, link, "ack", { ref: control.seq });
+            }
+        }
+        else if (type === "command") {
+            const { error, confirmed } = await this.commandExecute(control, access);
+            if (error !== null)
+                this.log("warn", `${prefix}: remote command failed: ${error}${client}`);
+            else
+                this.log("info", `${prefix}: remote command ${confirmed ? "executed" : "dispatched"}: ${control.command}${client}`);
+            this.linkSendControl(endpoint, link, "result", error !== null ?
+                { ref: control.id, ok: false, message: error } :
+                (confirmed ?
+                    { ref: control.id, ok: true, confirmed } :
+                    { ref: control.id, ok: true, confirmed, message: "dispatched to the Companion OSC listener (execution not confirmed)" }));
+        }
+        else if (type === "result") {
+            if (control.ok !== true)
+                this.log("warn", `${prefix}: remote command failed on peer: ${control.message}${client}`);
+            this.setVariableValues({
+                [`${this.statusVariablePrefix(endpoint.name)}command_result`]: control.ok !== true ? `error: ${control.message}` : (control.confirmed === false ? "dispatched" : "ok")
+            });
+        }
+        else if (type === "ack")
+            link.pending.delete(control.ref);
+        else if (type === "ping") {
+            if (link.version > 0)
+                this.linkSend(endpoint, link, "pong", { ref: control.seq });
+        }
+        else if (type === "pong") {
+            /*  nothing to do, as the link liveness was already recorded  */
+        }
+        else if (type === "error") {
+            this.log("warn", `${prefix}: peer reported error: ${control.message}${client}`);
+            if (typeof control.ref === "number")
+                link.pending.delete(control.ref);
+        }
+        else {
+            this.log("warn", `${prefix}: ignore message of unknown type "${type}"${client}`);
+            if (link.version > 0)
+                this.linkSend(endpoint, link, "error", { ref: control.seq, message: `unknown message type "${type}"` });
+        }
+    }
+    /*  internal helper function for sending a control message in the format of the link  */
+    linkSendControl(endpoint, link, type, fields) {
+        if (link.version > 0)
+            this.linkSend(endpoint, link, type, fields);
+        else {
+            const msg = JSON.stringify({ "@bridge": type, ...fields });
+            if (this.config.debug)
+                this.log("info", `[Bridge]: ${endpoint.role}(${endpoint.name}): send message: ${msg}`);
+            link.send(msg);
+        }
+    }
+    /*  internal helper function for processing a received state  */
+    async linkState(endpoint, msg, access, handle, trace = null) {
+        if (!await this.receiveState(msg, access, endpoint.name))
+            return false;
+        if (handle !== null)
+            await this.serverRelay(endpoint, msg, handle, trace);
+        await this.routeState(this.stateMapIncoming(msg, endpoint.name), endpoint.name, trace);
+        return true;
+    }
+    /*  internal helper function for periodically maintaining the links (heartbeats and acknowledgements)  */
+    linksMaintain() {
+        const now = Date.now();
+        const heartbeat = (this.config.heartbeat ?? ModuleConfigDefault.heartbeat) * 1000;
+        for (const endpoint of this.endpoints.values()) {
+            /*  unregister idle UDP multicast group members  */
+            for (const link of endpoint.members.values())
+                if (now - link.lastSeen > BridgeUdpIdle)
+                    link.close();
+        }
+        for (const { endpoint, link } of this.linksSelect()) {
+            /*  unregister idle UDP clients (on all protocol versions, as they are implicitly registered)  */
+            if (endpoint.transport === "udp" && link !== endpoint.link && now - link.lastSeen > BridgeUdpIdle) {
+                link.lastSeen = now;
+                link.close();
+                continue;
+            }
+            if (link.version === 0)
+                continue;
+            if (link === endpoint.link && !endpoint.status.connected)
+                continue;
+            /*  detect dead links and send heartbeats  */
+            if (heartbeat > 0) {
+                if (now - link.lastSeen > 3 * heartbeat) {
+                    this.log("warn", `[Bridge]: ${endpoint.role}(${endpoint.name}): connection dead ` +
+                        `(no message received for ${Math.round((now - link.lastSeen) / 1000)}s)`);
+                    link.lastSeen = now;
+                    link.close();
+                    continue;
+                }
+                if (now - link.lastPing >= heartbeat) {
+                    link.lastPing = now;
+                    this.linkSend(endpoint, link, "ping", {});
+                }
+            }
+            /*  re-send unacknowledged messages  */
+            for (const [seq, entry] of link.pending.entries()) {
+                if (now - entry.sent < BridgeAckTimeout)
+                    continue;
+                if (entry.retries >= BridgeAckRetries) {
+                    this.log("warn", `[Bridge]: ${endpoint.role}(${endpoint.name}): message not acknowledged (seq: ${seq})`);
+                    link.pending.delete(seq);
+                    continue;
+                }
+                entry.retries++;
+                entry.sent = now;
+                link.send(entry.msg);
+            }
+        }
+    }
+    /*  internal helper function for executing a received remote command
+        (returns an error message or null on success, and whether the execution is confirmed,
+        as button commands are just dispatched to the Companion OSC listener)  */
+    async commandExecute(cmd, access) {
+        const result = await this.commandCheck(cmd, access);
+        return typeof result === "string" ? { error: result, confirmed: false } : result;
+    }
+    /*  internal helper function for authorizing and running a received remote command  */
+    async commandCheck(cmd, access) {
+        if (access !== "rw")
+            return "read-only access";
+        let subject;
+        if (cmd.command === "down" || cmd.command === "up" || cmd.command === "press")
+            subject = `button:${cmd.location}`;
+        else if (cmd.command === "set")
+            subject = `variable:${cmd.variable}`;
+        else if (cmd.command === "group")
+            subject = `group:${cmd.group}`;
+        else
+            return `unknown command "${cmd.command}"`;
+        if (!this.commandAllowed(subject))
+            return `command not allowed (${subject})`;
+        if (cmd.command === "group") {
+            const commands = this.groups.get(cmd.group);
+            if (commands === undefined)
+                return `unknown command group "${cmd.group}"`;
+            let confirmed = true;
+            for (const command of commands) {
+                const result = await this.commandRun(command);
+                if (result.error !== null)
+                    return result;
+                confirmed &&= result.confirmed;
+            }
+            return { error: null, confirmed };
         }
+        return this.commandRun(cmd);
+    }
+    /*  internal helper function for checking a remote command against the allow-list  */
+    commandAllowed(subject) {
+        return (this.config.commands ?? "").split(/\s*[,\n]\s*/).filter((entry) => entry !== "").some((entry) => {
+            const regex = entry.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+            return new RegExp(`^${regex}$`).test(subject);
+        });
+    }
+    /*  internal helper function for running a single (button or variable) command  */
+    async commandRun(cmd) {
+        if (cmd.command === "set") {
+            if (typeof cmd.variable !== "string" || !cmd.variable.match(/^[-a-zA-Z0-9_]+$/))
+                return { error: `invalid custom variable name "${cmd.variable}"`, confirmed: false };
+            if (this.config.debug)
+                this.log("info", `[Bridge]: command: set custom variable: name: "${cmd.variable}", value: "${cmd.value}"`);
+            this.setCustomVariableValue(cmd.variable, String(cmd.value ?? ""));
+            return { error: null, confirmed: true };
+        }
+        if (typeof cmd.location !== "string" || !cmd.location.match(/^\d+\/\d+\/\d+$/))
+            return { error: `invalid button location "${cmd.location}"`, confirmed: false };
+        if (this.config.debug)
+            this.log("info", `[Bridge]: command: ${cmd.command} button: location: "${cmd.location}"`);
+        return { error: await this.oscDispatch(`/location/${cmd.location}/${cmd.command}`), confirmed: false };
+    }
+    /*  internal helper function for dispatching an OSC message (without arguments) to the Companion OSC listener
+        (returns an error message or null, where only a refused datagram can be detected, as OSC is not acknowledged)  */
+    async oscDispatch(address) {
+        const m = (this.config.osc ?? ModuleConfigDefault.osc).match(/^\[?(.+?)\]?:(\d+)$/);
+        if (m === null)
+            return "invalid Companion OSC listener address";
+        const pad = (str) => {
+            const buf = Buffer.from(str + "\0");
+            return Buffer.concat([buf, Buffer.alloc((4 - buf.length % 4) % 4)]);
+        };
+        const msg = Buffer.concat([pad(address), pad(",")]);
+        return new Promise((resolve) => {
+            const socket = dgram.createSocket(isIPv6(m[1]) ? "udp6" : "udp4");
+            const done = (error) => {
+                clearTimeout(timer);
+                socket.close();
+                resolve(error);
+            };
+            const timer = setTimeout(() => { done(null); }, 250);
+            socket.on("error", (err) => {
+                done(err.code === "ECONNREFUSED" ?
+                    `Companion OSC listener not reachable at ${m[1]}:${m[2]} (enable it under Settings > Protocols)` :
+                    `failed to send to Companion OSC listener: ${err.message}`);
+            });
+            socket.connect(parseInt(m[2]), m[1], () => {
+                socket.send(msg, (err) => {
+                    if (err)
+                        done(`failed to send to Companion OSC listener: ${err.message}`);
+                });
+            });
+        });
+    }
+    /*  internal helper function for checking the reachability of the Companion OSC listener
+        (if remote button commands are allowed at all)  */
+    async oscCheck() {
+        const entries = (this.config.commands ?? "").split(/\s*[,\n]\s*/);
+        if (!entries.some((entry) => entry.match(/^(?:button:|group:|\*)/)))
+            return;
+        const error = await this.oscDispatch("/bridge/probe");
+        if (error !== null)
+            this.log("warn", `[Bridge]: command: ${error}, remote button commands will fail`);
     }
     /*  helper function for declaring actions  */
     async actionDeclare() {
+        const optionEndpoint = {
+            id: "endpoint",
+            type: "dropdown",
+            label: "Bridge Endpoint",
+            choices: this.endpointChoices(true),
+            default: "*"
+        };
+        const optionTarget = {
+            id: "target",
+            type: "textinput",
+            label: "Bridge Target Clients [Names or Addresses]",
+            tooltip: "Comma-separated list of names or IP addresses of the clients to send to, " +
+                "only for server endpoints (leave empty for all clients)",
+            default: ""
+        };
+        const vtypeChoices = [
+            { id: "string", label: "string" },
+            { id: "number", label: "number" },
+            { id: "boolean", label: "boolean (true/false, 1/0, yes/no, on/off)" },
+            { id: "json", label: "JSON (parsed)" },
+            { id: "expression", label: "expression (evaluated)" }
+        ];
+        const vtypeTooltip = "The type of the JSON field value, converted from the value after variable substitution " +
+            "(an expression supports numbers, quoted strings, true/false/null, parentheses and " +
+            "the operators \"+ - * / % == != < <= > >= && || ! ?:\")";
+        /*  the rows of the multi-key JSON state action  */
+        const optionsRows = [];
+        for (let i = 1; i <= BridgeMultiRows; i++) {
+            optionsRows.push({
+                id: `path${i}`,
+                type: "textinput",
+                label: `Row ${i}: Bridge State Key [JSON Path]`,
+                default: i === 1 ? "foo.bar" : "",
+                isVisible: (options, data) => options.rows >= data.row,
+                isVisibleData: { row: i }
+            }, {
+                id: `expr${i}`,
+                type: "textinput",
+                label: `Row ${i}: Bridge State Value [JSON Field Value]`,
+                default: i === 1 ? "$(internal:custom_foo)" : "",
+                isVisible: (options, data) => options.rows >= data.row,
+                isVisibleData: { row: i }
+            }, {
+                id: `vtype${i}`,
+                type: "dropdown",
+                label: `Row ${i}: Bridge State Value Type`,
+                tooltip: vtypeTooltip,
+                choices: vtypeChoices,
+                default: "string",
+                isVisible: (options, data) => options.rows >= data.row,
+                isVisibleData: { row: i }
+            });
+        }
         this.setActionDefinitions({
             sendBridgeStateJSON: {
                 name: "Send Bridge State (JSON)",
@@ -248,14 +2229,42 @@ class Module extends CompanionModule.InstanceBase {
                         type: "textinput",
                         label: "Bridge State Value [JSON Field Value]",
                         default: "$(internal:custom_foo)"
-                    }],
+                    }, {
+                        id: "vtype",
+                        type: "dropdown",
+                        label: "Bridge State Value Type",
+                        tooltip: vtypeTooltip,
+                        choices: vtypeChoices,
+                        default: "string"
+                    }, {
+                        id: "auto",
+                        type: "checkbox",
+                        label: "Send Automatically [on Variable Changes]",
+                        tooltip: "Automatically send the state whenever a variable referenced in the value changes " +
+                            "(requires the \"Send Bridge States Automatically\" feedback on the same button)",
+                        default: false
+                    }, {
+                        id: "local",
+                        type: "checkbox",
+                        label: "Apply Locally [to Receive Feedbacks]",
+                        tooltip: "Also apply the sent state to the local receive feedbacks of the same key, " +
+                            "as the peer does not echo it back (e.g. for incrementing a received counter)",
+                        default: false
+                    }, optionEndpoint, optionTarget],
                 subscribe: async (action /*, context */) => {
                     const id = action.id;
                     const key = action.options.key;
                     const expr = action.options.expr;
+                    const auto = action.options.auto ?? false;
+                    const local = action.options.local ?? false;
+                    const vtype = action.options.vtype ?? "string";
+                    const endpoint = action.options.endpoint ?? "*";
+                    const target = action.options.target ?? "";
                     if (this.config.debug)
-                        this.log("info", `[Bridge]: action: subscribe: JSON state: id: "${id}", key: "${key}", expr: "${expr}"`);
-                    this.actions.set(id, { type: "json", key, expr });
+                        this.log("info", `[Bridge]: action: subscribe: JSON state: id: "${id}", key: "${key}", expr: "${expr}", type: "${vtype}", auto: ${auto}, local: ${local}, endpoint: "${endpoint}", target: "${target}"`);
+                    this.actions.set(id, { type: "json", endpoint, target, key, vtype, expr, auto, local, control: action.controlId });
+                    if (auto)
+                        this.checkFeedbacks("sendBridgeStateAuto");
                 },
                 unsubscribe: async (action /*, context */) => {
                     const id = action.id;
@@ -263,6 +2272,7 @@ class Module extends CompanionModule.InstanceBase {
                     const expr = action.options.expr;
                     if (this.config.debug)
                         this.log("info", `[Bridge]: action: unsubscribe: JSON state: id: "${id}", key: "${key}", expr: "${expr}"`);
+                    this.actionCancelState(id);
                     this.actions.delete(id);
                 },
                 callback: async (action) => {
@@ -274,6 +2284,57 @@ class Module extends CompanionModule.InstanceBase {
                     this.actionEmitState(id);
                 }
             },
+            sendBridgeStateJSONMulti: {
+                name: "Send Bridge State (JSON, Multiple Keys)",
+                description: "Send a bridge state as a JSON document built from multiple key paths and values",
+                options: [{
+                        id: "rows",
+                        type: "number",
+                        label: "Number of Rows",
+                        min: 1,
+                        max: BridgeMultiRows,
+                        default: 2
+                    }, ...optionsRows, {
+                        id: "auto",
+                        type: "checkbox",
+                        label: "Send Automatically [on Variable Changes]",
+                        tooltip: "Automatically send the state whenever a variable referenced in one of the values changes " +
+                            "(requires the \"Send Bridge States Automatically\" feedback on the same button)",
+                        default: false
+                    }, optionEndpoint, optionTarget],
+                subscribe: async (action /*, context */) => {
+                    const id = action.id;
+                    const auto = action.options.auto ?? false;
+                    const endpoint = action.options.endpoint ?? "*";
+                    const target = action.options.target ?? "";
+                    const rows = [];
+                    const count = Math.min(Math.max(action.options.rows ?? 1, 1), BridgeMultiRows);
+                    for (let i = 1; i <= count; i++) {
+                        const path = action.options[`path${i}`] ?? "";
+                        if (path !== "")
+                            rows.push({ path, expr: action.options[`expr${i}`] ?? "", vtype: action.options[`vtype${i}`] ?? "string" });
+                    }
+                    const expr = rows.map((row) => row.expr).join("\n");
+                    if (this.config.debug)
+                        this.log("info", `[Bridge]: action: subscribe: JSON multi-key state: id: "${id}", paths: "${rows.map((row) => row.path).join(", ")}", auto: ${auto}, endpoint: "${endpoint}", target: "${target}"`);
+                    this.actions.set(id, { type: "multi", endpoint, target, expr, rows, auto, control: action.controlId });
+                    if (auto)
+                        this.checkFeedbacks("sendBridgeStateAuto");
+                },
+                unsubscribe: async (action /*, context */) => {
+                    const id = action.id;
+                    if (this.config.debug)
+                        this.log("info", `[Bridge]: action: unsubscribe: JSON multi-key state: id: "${id}"`);
+                    this.actionCancelState(id);
+                    this.actions.delete(id);
+                },
+                callback: async (action) => {
+                    const id = action.id;
+                    if (this.config.debug)
+                        this.log("info", `[Bridge]: action: send: JSON multi-key state: id: "${id}"`);
+                    this.actionEmitState(id);
+                }
+            },
             sendBridgeStateRAW: {
                 name: "Send Bridge State (Raw)",
                 description: "Send a bridge state as a raw string",
@@ -282,19 +2343,32 @@ class Module extends CompanionModule.InstanceBase {
                         type: "textinput",
                         label: "Bridge State String",
                         default: "foo=$(internal:custom_foo)"
-                    }],
+                    }, {
+                        id: "auto",
+                        type: "checkbox",
+                        label: "Send Automatically [on Variable Changes]",
+                        tooltip: "Automatically send the state whenever a variable referenced in the string changes " +
+                            "(requires the \"Send Bridge States Automatically\" feedback on the same button)",
+                        default: false
+                    }, optionEndpoint, optionTarget],
                 subscribe: async (action /*, context */) => {
                     const id = action.id;
                     const expr = action.options.expr;
+                    const auto = action.options.auto ?? false;
+                    const endpoint = action.options.endpoint ?? "*";
+                    const target = action.options.target ?? "";
                     if (this.config.debug)
-                        this.log("info", `[Bridge]: action: subscribe: RAW state: id: "${id}", expr: "${expr}"`);
-                    this.actions.set(id, { type: "raw", expr });
+                        this.log("info", `[Bridge]: action: subscribe: RAW state: id: "${id}", expr: "${expr}", auto: ${auto}, endpoint: "${endpoint}", target: "${target}"`);
+                    this.actions.set(id, { type: "raw", endpoint, target, expr, auto, control: action.controlId });
+                    if (auto)
+                        this.checkFeedbacks("sendBridgeStateAuto");
                 },
                 unsubscribe: async (action /*, context */) => {
                     const id = action.id;
                     const expr = action.options.expr;
                     if (this.config.debug)
                         this.log("info", `[Bridge]: action: unsubscribe: RAW state: id: "${id}", expr: "${expr}"`);
+                    this.actionCancelState(id);
                     this.actions.delete(id);
                 },
                 callback: async (action) => {
@@ -304,46 +2378,394 @@ class Module extends CompanionModule.InstanceBase {
                         this.log("info", `[Bridge]: action: send: RAW state: id: "${id}", expr: "${expr}"`);
                     this.actionEmitState(id);
                 }
+            },
+            requestBridgeResync: {
+                name: "Request Bridge State Resync",
+                description: "Request the peer(s) to send a snapshot of all their bridge states",
+                options: [optionEndpoint],
+                callback: async (action) => {
+                    const endpoint = action.options.endpoint ?? "*";
+                    if (this.config.debug)
+                        this.log("info", `[Bridge]: action: request resync: endpoint: "${endpoint}"`);
+                    for (const { endpoint: ep, link } of this.linksSelect(endpoint)) {
+                        if (link.version > 0)
+                            this.linkSend(ep, link, "request", {});
+                        else
+                            link.send(BridgeResyncRequest);
+                    }
+                }
+            },
+            sendBridgeCommand: {
+                name: "Send Bridge Command",
+                description: "Send a command for pressing/releasing a button, setting a custom variable " +
+                    "or running a command group to the peer(s)",
+                options: [{
+                        id: "command",
+                        type: "dropdown",
+                        label: "Bridge Command",
+                        choices: [
+                            { id: "down", label: "Press Button (down)" },
+                            { id: "up", label: "Release Button (up)" },
+                            { id: "press", label: "Press and Release Button" },
+                            { id: "set", label: "Set Custom Variable" },
+                            { id: "group", label: "Run Command Group" }
+                        ],
+                        default: "press"
+                    }, {
+                        id: "location",
+                        type: "textinput",
+                        label: "Button Location [Page/Row/Column]",
+                        default: "1/0/0",
+                        isVisible: (options) => options.command === "down" || options.command === "up" || options.command === "press"
+                    }, {
+                        id: "variable",
+                        type: "textinput",
+                        label: "Custom Variable Name",
+                        default: "foo",
+                        isVisible: (options) => options.command === "set"
+                    }, {
+                        id: "value",
+                        type: "textinput",
+                        label: "Custom Variable Value",
+                        default: "$(internal:custom_foo)",
+                        isVisible: (options) => options.command === "set"
+                    }, {
+                        id: "group",
+                        type: "textinput",
+                        label: "Command Group Name",
+                        default: "foo",
+                        isVisible: (options) => options.command === "group"
+                    }, optionEndpoint, optionTarget],
+                callback: async (action) => {
+                    const endpoint = action.options.endpoint ?? "*";
+                    const target = action.options.target ?? "";
+                    const command = action.options.command;
+                    const cmd = { id: ++this.commandId, command };
+                    if (command === "set") {
+                        cmd.variable = await this.parseVariablesInString(action.options.variable);
+                        cmd.value = await this.parseVariablesInString(action.options.value);
+                    }
+                    else if (command === "group")
+                        cmd.group = await this.parseVariablesInString(action.options.group);
+                    else
+                        cmd.location = await this.parseVariablesInString(action.options.location);
+                    if (this.config.debug)
+                        this.log("info", `[Bridge]: action: send command: ${JSON.stringify(cmd)}, endpoint: "${endpoint}", target: "${target}"`);
+                    for (const { endpoint: ep, link } of this.linksSelect(endpoint, null, null, target))
+                        this.linkSendControl(ep, link, "command", cmd);
+                }
             }
         });
     }
+    /*  internal helper function for watching the states of the actions in automatic mode of a button
+        (resolved through the feedback context, as Companion re-checks a feedback whenever
+        a variable referenced during its last check changes)  */
+    async actionWatchStates(control, parse) {
+        for (const [id, action] of this.actions.entries()) {
+            if (!action.auto || action.control !== control)
+                continue;
+            const state = await this.actionResolveState(action, parse);
+            const watched = action.watched;
+            action.watched = state;
+            if (watched === undefined || state === watched)
+                continue;
+            if (this.config.debug)
+                this.log("info", `[Bridge]: action: variables changed: id: "${id}"`);
+            /*  debounce the automatic state sending  */
+            this.actionCancelState(id);
+            this.timers.set(id, setTimeout(() => {
+                this.timers.delete(id);
+                this.actionEmitState(id, true);
+            }, this.config.delay ?? ModuleConfigDefault.delay));
+        }
+    }
+    /*  internal helper function for cancelling pending automatic state sending  */
+    actionCancelState(id) {
+        const timer = this.timers.get(id);
+        if (timer !== undefined) {
+            clearTimeout(timer);
+            this.timers.delete(id);
+        }
+    }
     /*  internal helper function for emitting state  */
-    async actionEmitState(id) {
+    async actionEmitState(id, onlyChanged = false, endpoint = null, target = null) {
         if (!id) {
-            /*  emit all actions  */
-            for (const id of Object.keys(this.actions))
-                await this.actionEmitState(id);
+            /*  emit all actions (as a snapshot)  */
+            const states = [];
+            for (const action of this.actions.values()) {
+                if (endpoint === null || action.endpoint === "*" || action.endpoint === endpoint) {
+                    action.last = await this.actionResolveState(action);
+                    const msg = this.actionFormatState(action, action.last);
+                    if (msg !== null)
+                        states.push({ msg, endpoint: action.endpoint, target: action.target });
+                }
+            }
+            for (const { endpoint: ep, link, handle } of this.linksSelect(endpoint ?? "*", null, target)) {
+                const msgs = states.filter((state) => (state.endpoint === "*" || state.endpoint === ep.name)
+                    && (state.target === "" || handle === null || this.peerMatches(ep, handle, state.target))).map((state) => this.stateMapOutgoing(state.msg, ep.name));
+                this.linkSendStates(ep, link, msgs, true);
+            }
         }
         else if (this.actions.has(id)) {
             /*  emit a single actions expression  */
             const action = this.actions.get(id);
-            let state = await this.parseVariablesInString(action.expr);
-            if (action.type === "json")
-                state = JSON.stringify({ [action.key]: state }) + "\r\n";
-            else if (action.type === "raw")
-                state = state.replace(/\\r/g, "\r").replace(/\\n/g, "\n");
-            this.sendState(state);
+            const state = await this.actionResolveState(action);
+            if (onlyChanged && state === action.last) {
+                if (this.config.debug)
+                    this.log("info", `[Bridge]: action: skip unchanged state: id: "${id}"`);
+                return;
+            }
+            action.last = state;
+            const msg = this.actionFormatState(action, state);
+            if (msg !== null) {
+                for (const { endpoint: ep, link } of this.linksSelect(endpoint ?? action.endpoint, null, target, action.target))
+                    this.linkSendStates(ep, link, [this.stateMapOutgoing(msg, ep.name)]);
+                if (action.local)
+                    await this.receiveState(msg, "rw", action.endpoint, true);
+            }
+        }
+    }
+    /*  internal helper function for resolving the variables in the value(s) of an action
+        (where the values of a multi-key JSON state are resolved into a JSON array)  */
+    async actionResolveState(action, parse = (text) => this.parseVariablesInString(text)) {
+        if (action.type === "multi") {
+            const values = [];
+            for (const row of action.rows)
+                values.push(await parse(row.expr));
+            return JSON.stringify(values);
         }
+        return parse(action.expr);
+    }
+    /*  internal helper function for formatting the state of an action
+        (returns null if the value cannot be converted to the value type)  */
+    actionFormatState(action, state) {
+        if (action.type === "multi") {
+            const values = JSON.parse(state);
+            const obj = {};
+            for (const [i, row] of action.rows.entries()) {
+                try {
+                    this.stateAssign(obj, row.path, this.actionConvertValue(values[i], row.vtype));
+                }
+                catch (err) {
+                    this.log("warn", `[Bridge]: action: cannot convert value "${values[i]}" to type ${row.vtype}: ${err.message}`);
+                    return null;
+                }
+            }
+            return JSON.stringify(obj) + "\r\n";
+        }
+        else if (action.type === "json") {
+            let value;
+            try {
+                value = this.actionConvertValue(state, action.vtype ?? "string");
+            }
+            catch (err) {
+                this.log("warn", `[Bridge]: action: cannot convert value "${state}" to type ${action.vtype}: ${err.message}`);
+                return null;
+            }
+            return JSON.stringify({ [action.key]: value }) + "\r\n";
+        }
+        else if (action.type === "raw")
+            return state.replace(/\\r/g, "\r").replace(/\\n/g, "\n");
+        return state;
+    }
+    /*  internal helper function for converting a value to a value type  */
+    actionConvertValue(value, vtype) {
+        if (vtype === "number") {
+            const n = Number(value.trim());
+            if (value.trim() === "" || Number.isNaN(n))
+                throw new Error("not a number");
+            return n;
+        }
+        else if (vtype === "boolean") {
+            const v = value.trim().toLowerCase();
+            if (["true", "1", "yes", "on"].includes(v))
+                return true;
+            else if (["false", "0", "no", "off"].includes(v))
+                return false;
+            throw new Error("not a boolean");
+        }
+        else if (vtype === "json")
+            return JSON.parse(value);
+        else if (vtype === "expression")
+            return this.actionEvaluateExpression(value);
+        return value;
+    }
+    /*  internal helper function for evaluating a simple expression
+        (by a recursive descent parser, as the expression comes from remote-controllable variables)  */
+    actionEvaluateExpression(expr) {
+        /*  tokenize expression  */
+        const tokens = [];
+        const lexer = /\s*(\d+(?:\.\d+)?(?:[eE][-+]?\d+)?|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[a-z]+|==|!=|<=|>=|&&|\|\||[-+*/%<>!?:()])\s*/y;
+        while (lexer.lastIndex < expr.length) {
+            const pos = lexer.lastIndex;
+            const m = lexer.exec(expr);
+            if (m === null)
+                throw new Error(`invalid character at position ${pos}`);
+            tokens.push(m[1]);
+        }
+        /*  parse and evaluate expression  */
+        let pos = 0;
+        const peek = () => tokens[pos];
+        const next = () => tokens[pos++];
+        const expect = (token) => {
+            if (next() !== token)
+                throw new Error(`expected "${token}"`);
+        };
+        const primary = () => {
+            const token = next();
+            if (token === undefined)
+                throw new Error("unexpected end of expression");
+            else if (token === "(") {
+                const value = ternary();
+                expect(")");
+                return value;
+            }
+            else if (token.match(/^\d/))
+                return parseFloat(token);
+            else if (token.startsWith("\""))
+                return JSON.parse(token);
+            else if (token.startsWith("'"))
+                return token.slice(1, -1).replace(/\\(.)/g, "$1");
+            else if (token === "true" || token === "false")
+                return token === "true";
+            else if (token === "null")
+                return null;
+            throw new Error(`unexpected token "${token}"`);
+        };
+        const unary = () => {
+            if (peek() === "!") {
+                next();
+                return !unary();
+            }
+            else if (peek() === "-") {
+                next();
+                return -unary();
+            }
+            return primary();
+        };
+        const binary = (operand, operators) => () => {
+            let value = operand();
+            while (peek() !== undefined && operators[peek()] !== undefined) {
+                const op = operators[next()];
+                value = op(value, operand());
+            }
+            return value;
+        };
+        const multiplicative = binary(unary, { "*": (a, b) => a * b, "/": (a, b) => a / b, "%": (a, b) => a % b });
+        const additive = binary(multiplicative, { "+": (a, b) => a + b, "-": (a, b) => a - b });
+        const relational = binary(additive, { "<": (a, b) => a < b, "<=": (a, b) => a <= b, ">": (a, b) => a > b, ">=": (a, b) => a >= b });
+        const equality = binary(relational, { "==": (a, b) => a === b, "!=": (a, b) => a !== b });
+        const and = binary(equality, { "&&": (a, b) => a && b });
+        const or = binary(and, { "||": (a, b) => a || b });
+        const ternary = () => {
+            const cond = or();
+            if (peek() !== "?")
+                return cond;
+            next();
+            const yes = ternary();
+            expect(":");
+            const no = ternary();
+            return cond ? yes : no;
+        };
+        const value = ternary();
+        if (pos < tokens.length)
+            throw new Error(`unexpected token "${tokens[pos]}"`);
+        return value;
     }
     /*  internal helper function for sending state  */
-    async sendState(msg, sender = null) {
-        if (this.server !== null) {
-            this.server.clients.forEach((ws) => {
-                if (sender !== null && ws === sender)
-                    return;
-                if (this.config.debug)
-                    this.log("info", `[Bridge]: server: send state: message: ${msg}`);
-                ws.send(msg);
-            });
+    async sendState(msg, name = "*", sender = null, target = null, peers = "", trace = null) {
+        for (const { endpoint, link } of this.linksSelect(name, sender, target, peers))
+            this.linkSendStates(endpoint, link, [msg], false, trace);
+    }
+    /*  internal helper function for forwarding received state according to the routing rules
+        (the state is expected in its local form and is mapped to the remote form of each target)  */
+    async routeState(msg, from, trace = null) {
+        const targets = new Set();
+        for (const route of this.routes) {
+            if (route.from !== "*" && route.from !== from)
+                continue;
+            for (const endpoint of this.endpoints.values())
+                if (endpoint.name !== from && (route.to === "*" || route.to === endpoint.name))
+                    targets.add(endpoint.name);
         }
-        else if (this.client !== null) {
+        for (const target of targets) {
             if (this.config.debug)
-                this.log("info", `[Bridge]: client: send state: message: ${msg}`);
-            this.client.send(msg);
+                this.log("info", `[Bridge]: route: forward state: from: "${from}", to: "${target}"`);
+            await this.sendState(this.stateMapOutgoing(msg, target), target, null, null, "", trace);
         }
     }
     /*  helper function for declaring feedbacks  */
     async feedbackDeclare() {
+        /*  common options of the comparison and style feedbacks  */
+        const optionsCompare = [{
+                id: "op",
+                type: "dropdown",
+                label: "Bridge State Comparison [Operator]",
+                choices: [
+                    { id: "eq", label: "equals" },
+                    { id: "ne", label: "not equals" },
+                    { id: "lt", label: "less than [numeric]" },
+                    { id: "le", label: "less than or equal [numeric]" },
+                    { id: "gt", label: "greater than [numeric]" },
+                    { id: "ge", label: "greater than or equal [numeric]" },
+                    { id: "match", label: "matches [Regex]" }
+                ],
+                default: "eq"
+            }, {
+                id: "value",
+                type: "textinput",
+                label: "Bridge State Comparison [Value]",
+                default: "on",
+                useVariables: true
+            }];
+        const optionsStyle = [{
+                id: "mapping",
+                type: "textinput",
+                label: "Bridge State Style Mapping [JSON]",
+                tooltip: "A JSON object mapping bridge state values to button styles " +
+                    "(supported style properties: bgcolor, color, text, size, png64, alignment, pngalignment), " +
+                    "where the value \"*\" matches all otherwise unmapped values",
+                default: "{ \"on\": { \"bgcolor\": \"#cc0000\", \"color\": \"#ffffff\" }, \"*\": { \"bgcolor\": \"#000000\" } }"
+            }];
+        const optionsCount = [{
+                id: "op",
+                type: "dropdown",
+                label: "Comparison [Operator]",
+                choices: [
+                    { id: "eq", label: "equals" },
+                    { id: "ne", label: "not equals" },
+                    { id: "lt", label: "less than" },
+                    { id: "le", label: "less than or equal" },
+                    { id: "gt", label: "greater than" },
+                    { id: "ge", label: "greater than or equal" }
+                ],
+                default: "gt"
+            }, {
+                id: "count",
+                type: "number",
+                label: "Comparison [Count]",
+                default: 0,
+                min: 0,
+                max: 100000
+            }];
+        const optionEndpointAny = {
+            id: "endpoint",
+            type: "dropdown",
+            label: "Bridge Endpoint",
+            choices: this.endpointChoices(true),
+            default: "*"
+        };
+        const optionEndpoint = {
+            id: "endpoint",
+            type: "dropdown",
+            label: "Bridge Endpoint",
+            choices: this.endpointChoices(false),
+            default: "main"
+        };
+        const defaultStyle = {
+            bgcolor: CompanionModule.combineRgb(204, 0, 0),
+            color: CompanionModule.combineRgb(255, 255, 255)
+        };
         this.setFeedbackDefinitions({
             receiveBridgeStateJSON: {
                 type: "advanced",
@@ -366,15 +2788,60 @@ class Module extends CompanionModule.InstanceBase {
                         label: "Bridge State Name [Variable Name]",
                         regex: "/^[-a-zA-Z0-9_]+$/",
                         default: "foo"
-                    }],
+                    }, {
+                        id: "conv",
+                        type: "dropdown",
+                        label: "Bridge State Conversion [Variable Value]",
+                        choices: [
+                            { id: "auto", label: "as received (objects/arrays as JSON)" },
+                            { id: "number", label: "number (formatted)" },
+                            { id: "boolean", label: "boolean (mapped to texts)" },
+                            { id: "json", label: "JSON (always stringified)" }
+                        ],
+                        default: "auto"
+                    }, {
+                        id: "decimals",
+                        type: "number",
+                        label: "Number of Decimals",
+                        min: 0,
+                        max: 10,
+                        default: 0,
+                        isVisible: (options) => options.conv === "number"
+                    }, {
+                        id: "true",
+                        type: "textinput",
+                        label: "Text for True",
+                        default: "true",
+                        isVisible: (options) => options.conv === "boolean"
+                    }, {
+                        id: "false",
+                        type: "textinput",
+                        label: "Text for False",
+                        default: "false",
+                        isVisible: (options) => options.conv === "boolean"
+                    }, {
+                        id: "fallback",
+                        type: "checkbox",
+                        label: "Use Default on Missing Key",
+                        tooltip: "Set the variable to its default value whenever a full snapshot of the Bridge protocol " +
+                            "does not contain the key (single states never reset missing keys, " +
+                            "while a null value always results in the default value)",
+                        default: false
+                    }, optionEndpointAny],
                 subscribe: async (feedback) => {
                     const id = feedback.id;
                     const key = feedback.options.key;
                     const def = feedback.options.def;
                     const name = feedback.options.name;
-                    this.feedbacks.set(id, { type: "json", key, def, name });
+                    const conv = feedback.options.conv ?? "auto";
+                    const decimals = feedback.options.decimals ?? 0;
+                    const mapTrue = feedback.options.true ?? "true";
+                    const mapFalse = feedback.options.false ?? "false";
+                    const fallback = feedback.options.fallback ?? false;
+                    const endpoint = feedback.options.endpoint ?? "*";
+                    this.feedbacks.set(id, { type: "json", kind: "variable", endpoint, key, def, name, conv, decimals, mapTrue, mapFalse, fallback });
                     if (this.config.debug)
-                        this.log("info", `[Bridge]: feedback: subscribe: JSON state: key: "${key}", def: "${def}", name: "${name}"`);
+                        this.log("info", `[Bridge]: feedback: subscribe: JSON state: key: "${key}", def: "${def}", name: "${name}", conv: "${conv}"`);
                     this.feedbackUpdateVariables(id);
                 },
                 unsubscribe: async (feedback) => {
@@ -398,8 +2865,33 @@ class Module extends CompanionModule.InstanceBase {
                         id: "regex",
                         type: "textinput",
                         label: "Bridge State Key [Regex]",
-                        regex: "/^([-a-zA-Z0-9_]+)=(.+)$/",
-                        default: "foo"
+                        tooltip: "The regular expression matched against received raw states, " +
+                            "where the first capture group is the value (a regex without a matching capture group " +
+                            "only matches in combination with a template), " +
+                            "and each named capture group \"(?<group>...)\" additionally sets the variable \"<name>_<group>\"",
+                        regex: "/.+/",
+                        default: "foo=(.+)"
+                    }, {
+                        id: "flags",
+                        type: "textinput",
+                        label: "Bridge State Key [Regex Flags]",
+                        tooltip: "The flags of the regular expression: \"i\" (case-insensitive), \"m\" (multi-line anchors), " +
+                            "\"s\" (dot matches newlines) and \"u\" (Unicode)",
+                        regex: "/^[imsu]*$/",
+                        default: ""
+                    }, {
+                        id: "template",
+                        type: "textinput",
+                        label: "Bridge State Template [Variable Value]",
+                        tooltip: "The optional template for the value, combining capture groups " +
+                            "via \"$<group>\" (named) and \"$1\" (numbered), e.g. \"$<cam>:$<state>\"",
+                        default: ""
+                    }, {
+                        id: "lines",
+                        type: "checkbox",
+                        label: "Match Per Line",
+                        tooltip: "Match each line of a received raw state separately, where the last matching line wins",
+                        default: false
                     }, {
                         id: "def",
                         type: "textinput",
@@ -411,15 +2903,21 @@ class Module extends CompanionModule.InstanceBase {
                         label: "Bridge State Key [Variable Name]",
                         regex: "/^[-a-zA-Z0-9_]+$/",
                         default: "foo"
-                    }],
+                    }, optionEndpointAny],
                 subscribe: async (feedback) => {
                     const id = feedback.id;
                     const regex = feedback.options.regex;
                     const def = feedback.options.def;
                     const name = feedback.options.name;
-                    this.feedbacks.set(id, { type: "raw", regex, def, name });
+                    const flags = feedback.options.flags ?? "";
+                    const template = feedback.options.template ?? "";
+                    const lines = feedback.options.lines ?? false;
+                    const endpoint = feedback.options.endpoint ?? "*";
+                    const re = this.feedbackRegExp(regex, flags);
+                    const groups = Array.from(regex.matchAll(/\(\?<([a-zA-Z_][a-zA-Z0-9_]*)>/g), (m) => m[1]);
+                    this.feedbacks.set(id, { type: "raw", kind: "variable", endpoint, regex, def, name, re, template, lines, groups });
                     if (this.config.debug)
-                        this.log("info", `[Bridge]: feedback: subscribe: RAW state: regex: "${regex}", def: "${def}", name: "${name}"`);
+                        this.log("info", `[Bridge]: feedback: subscribe: RAW state: regex: "${regex}", flags: "${flags}", def: "${def}", name: "${name}"`);
                     this.feedbackUpdateVariables(id);
                 },
                 unsubscribe: async (feedback) => {
@@ -434,28 +2932,562 @@ class Module extends CompanionModule.InstanceBase {
                 callback: () => {
                     return {};
                 }
+            },
+            compareBridgeStateJSON: {
+                type: "boolean",
+                name: "Compare Bridge State (JSON)",
+                description: "Compare a received JSON bridge state against a value",
+                options: [{
+                        id: "key",
+                        type: "textinput",
+                        label: "Bridge State Key [JSON Path]",
+                        regex: "/.+/",
+                        default: "foo"
+                    }, ...optionsCompare, optionEndpointAny],
+                defaultStyle,
+                subscribe: async (feedback) => {
+                    const id = feedback.id;
+                    const key = feedback.options.key;
+                    const endpoint = feedback.options.endpoint ?? "*";
+                    this.feedbacks.set(id, { type: "json", kind: "compare", endpoint, key });
+                    if (this.config.debug)
+                        this.log("info", `[Bridge]: feedback: subscribe: JSON comparison: key: "${key}"`);
+                },
+                unsubscribe: async (feedback) => {
+                    this.feedbacks.delete(feedback.id);
+                },
+                callback: async (feedback, context) => {
+                    const key = feedback.options.key;
+                    const op = feedback.options.op;
+                    const endpoint = feedback.options.endpoint ?? "*";
+                    const value = await context.parseVariablesInString(feedback.options.value);
+                    return this.feedbackCompare(this.received.get(`${endpoint}|json:${key}`), op, value);
+                }
+            },
+            compareBridgeStateRAW: {
+                type: "boolean",
+                name: "Compare Bridge State (Raw)",
+                description: "Compare a received raw bridge state against a value",
+                options: [{
+                        id: "regex",
+                        type: "textinput",
+                        label: "Bridge State Key [Regex]",
+                        default: "^foo=(.+)$"
+                    }, ...optionsCompare, optionEndpointAny],
+                defaultStyle,
+                subscribe: async (feedback) => {
+                    const id = feedback.id;
+                    const regex = feedback.options.regex;
+                    const endpoint = feedback.options.endpoint ?? "*";
+                    const re = this.feedbackRegExp(regex, "");
+                    this.feedbacks.set(id, { type: "raw", kind: "compare", endpoint, regex, re });
+                    if (this.config.debug)
+                        this.log("info", `[Bridge]: feedback: subscribe: RAW comparison: regex: "${regex}"`);
+                },
+                unsubscribe: async (feedback) => {
+                    this.feedbacks.delete(feedback.id);
+                },
+                callback: async (feedback, context) => {
+                    const regex = feedback.options.regex;
+                    const op = feedback.options.op;
+                    const endpoint = feedback.options.endpoint ?? "*";
+                    const value = await context.parseVariablesInString(feedback.options.value);
+                    return this.feedbackCompare(this.received.get(`${endpoint}|raw:${regex}`), op, value);
+                }
+            },
+            styleBridgeStateJSON: {
+                type: "advanced",
+                name: "Style by Bridge State (JSON)",
+                description: "Map a received JSON bridge state value onto a button style",
+                options: [{
+                        id: "key",
+                        type: "textinput",
+                        label: "Bridge State Key [JSON Path]",
+                        regex: "/.+/",
+                        default: "foo"
+                    }, ...optionsStyle, optionEndpointAny],
+                subscribe: async (feedback) => {
+                    const id = feedback.id;
+                    const key = feedback.options.key;
+                    const endpoint = feedback.options.endpoint ?? "*";
+                    this.feedbacks.set(id, { type: "json", kind: "style", endpoint, key });
+                    if (this.config.debug)
+                        this.log("info", `[Bridge]: feedback: subscribe: JSON style: key: "${key}"`);
+                },
+                unsubscribe: async (feedback) => {
+                    this.feedbacks.delete(feedback.id);
+                },
+                callback: (feedback) => {
+                    const key = feedback.options.key;
+                    const mapping = feedback.options.mapping;
+                    const endpoint = feedback.options.endpoint ?? "*";
+                    return this.feedbackStyle(this.received.get(`${endpoint}|json:${key}`), mapping);
+                }
+            },
+            styleBridgeStateRAW: {
+                type: "advanced",
+                name: "Style by Bridge State (Raw)",
+                description: "Map a received raw bridge state value onto a button style",
+                options: [{
+                        id: "regex",
+                        type: "textinput",
+                        label: "Bridge State Key [Regex]",
+                        default: "^foo=(.+)$"
+                    }, ...optionsStyle, optionEndpointAny],
+                subscribe: async (feedback) => {
+                    const id = feedback.id;
+                    const regex = feedback.options.regex;
+                    const endpoint = feedback.options.endpoint ?? "*";
+                    const re = this.feedbackRegExp(regex, "");
+                    this.feedbacks.set(id, { type: "raw", kind: "style", endpoint, regex, re });
+                    if (this.config.debug)
+                        this.log("info", `[Bridge]: feedback: subscribe: RAW style: regex: "${regex}"`);
+                },
+                unsubscribe: async (feedback) => {
+                    this.feedbacks.delete(feedback.id);
+                },
+                callback: (feedback) => {
+                    const regex = feedback.options.regex;
+                    const mapping = feedback.options.mapping;
+                    const endpoint = feedback.options.endpoint ?? "*";
+                    return this.feedbackStyle(this.received.get(`${endpoint}|raw:${regex}`), mapping);
+                }
+            },
+            bridgeConnected: {
+                type: "boolean",
+                name: "Bridge Connection State",
+                description: "Indicate whether the bridge connection is established or not " +
+                    "(for role Server: whether at least one client is connected)",
+                options: [{
+                        id: "state",
+                        type: "dropdown",
+                        label: "Connection State",
+                        choices: [
+                            { id: "connected", label: "connected" },
+                            { id: "disconnected", label: "disconnected" }
+                        ],
+                        default: "disconnected"
+                    }, optionEndpoint],
+                defaultStyle,
+                callback: (feedback) => {
+                    const endpoint = this.endpoints.get(feedback.options.endpoint ?? "main");
+                    return (endpoint?.status.connected ?? false) === (feedback.options.state === "connected");
+                }
+            },
+            bridgeClients: {
+                type: "boolean",
+                name: "Bridge Connected Clients",
+                description: "Compare the number of connected clients (role Server)",
+                options: [...optionsCount, optionEndpoint],
+                defaultStyle,
+                callback: (feedback) => {
+                    const endpoint = this.endpoints.get(feedback.options.endpoint ?? "main");
+                    return this.feedbackCompare(endpoint?.status.clients, feedback.options.op, String(feedback.options.count));
+                }
+            },
+            bridgeIdle: {
+                type: "boolean",
+                name: "Bridge Message Idle Time",
+                description: "Indicate that no message was received for a certain time",
+                options: [{
+                        id: "seconds",
+                        type: "number",
+                        label: "Idle Time [seconds]",
+                        default: 10,
+                        min: 1,
+                        max: 86400
+                    }, optionEndpoint],
+                defaultStyle,
+                callback: (feedback) => {
+                    const seconds = feedback.options.seconds;
+                    const endpoint = this.endpoints.get(feedback.options.endpoint ?? "main");
+                    const last = endpoint?.status.lastMessage ?? 0;
+                    return last === 0 || (Date.now() - last) > seconds * 1000;
+                }
+            },
+            bridgeReconnects: {
+                type: "boolean",
+                name: "Bridge Reconnects",
+                description: "Compare the number of reconnects (role Client)",
+                options: [...optionsCount, optionEndpoint],
+                defaultStyle,
+                callback: (feedback) => {
+                    const endpoint = this.endpoints.get(feedback.options.endpoint ?? "main");
+                    return this.feedbackCompare(endpoint?.status.reconnects, feedback.options.op, String(feedback.options.count));
+                }
+            },
+            sendBridgeStateAuto: {
+                type: "advanced",
+                name: "Send Bridge States Automatically",
+                description: "Send the states of the Send Bridge State actions of this button in automatic mode " +
+                    "whenever a variable referenced in them changes (without changing the button style)",
+                options: [],
+                callback: async (feedback, context) => {
+                    await this.actionWatchStates(feedback.controlId, (text) => context.parseVariablesInString(text));
+                    return {};
+                }
+            }
+        });
+    }
+    /*  helper function for declaring presets  */
+    async presetDeclare() {
+        const black = CompanionModule.combineRgb(0, 0, 0);
+        const white = CompanionModule.combineRgb(255, 255, 255);
+        const red = CompanionModule.combineRgb(204, 0, 0);
+        const green = CompanionModule.combineRgb(0, 153, 0);
+        this.setPresetDefinitions({
+            mirroredTally: {
+                type: "button",
+                category: "Bridge States",
+                name: "Mirrored Tally",
+                style: { text: "TALLY", size: "18", color: white, bgcolor: black },
+                steps: [{ down: [], up: [] }],
+                feedbacks: [{
+                        feedbackId: "styleBridgeStateJSON",
+                        options: {
+                            key: "tally",
+                            mapping: "{ \"program\": { \"bgcolor\": \"#cc0000\" }, \"preview\": { \"bgcolor\": \"#009900\" } }",
+                            endpoint: "*"
+                        }
+                    }]
+            },
+            sendTally: {
+                type: "button",
+                category: "Bridge States",
+                name: "Send Tally (automatically)",
+                style: { text: "SEND\nTALLY", size: "18", color: white, bgcolor: black },
+                steps: [{
+                        down: [{
+                                actionId: "sendBridgeStateJSON",
+                                options: { key: "tally", expr: "$(internal:custom_tally)", vtype: "string", auto: true, local: false, endpoint: "*", target: "" }
+                            }],
+                        up: []
+                    }],
+                feedbacks: [{
+                        feedbackId: "sendBridgeStateAuto",
+                        options: {}
+                    }]
+            },
+            remoteCounter: {
+                type: "button",
+                category: "Bridge States",
+                name: "Remote Counter (increment)",
+                style: { text: `COUNT\n$(${this.label}:counter)`, size: "18", color: white, bgcolor: black },
+                steps: [{
+                        down: [{
+                                actionId: "sendBridgeStateJSON",
+                                options: { key: "counter", expr: `$(${this.label}:counter) + 1`, vtype: "expression", auto: false, local: true, endpoint: "*", target: "" }
+                            }],
+                        up: []
+                    }],
+                feedbacks: [{
+                        feedbackId: "receiveBridgeStateJSON",
+                        options: {
+                            key: "counter", def: "0", name: "counter", conv: "auto", decimals: 0,
+                            true: "true", false: "false", fallback: false, endpoint: "*"
+                        }
+                    }]
+            },
+            connectionIndicator: {
+                type: "button",
+                category: "Bridge Connection",
+                name: "Connection Indicator (press for resync)",
+                style: { text: "BRIDGE", size: "18", color: white, bgcolor: red },
+                steps: [{
+                        down: [{ actionId: "requestBridgeResync", options: { endpoint: "*" } }],
+                        up: []
+                    }],
+                feedbacks: [{
+                        feedbackId: "bridgeConnected",
+                        options: { state: "connected", endpoint: "main" },
+                        style: { bgcolor: green, color: white }
+                    }]
+            },
+            connectedClients: {
+                type: "button",
+                category: "Bridge Connection",
+                name: "Connected Clients (role Server)",
+                style: { text: `CLIENTS\n$(${this.label}:bridge_clients)`, size: "18", color: white, bgcolor: red },
+                steps: [{ down: [], up: [] }],
+                feedbacks: [{
+                        feedbackId: "bridgeClients",
+                        options: { op: "gt", count: 0, endpoint: "main" },
+                        style: { bgcolor: green, color: white }
+                    }]
             }
         });
     }
+    /*  helper function for compiling a regular expression  */
+    feedbackRegExp(regex, flags) {
+        try {
+            return new RegExp(regex, flags.replace(/[^imsu]/g, ""));
+        }
+        catch (err) {
+            this.log("error", `[Bridge]: feedback: invalid regular expression "${regex}": ${err.message}`);
+            return null;
+        }
+    }
+    /*  helper function for matching a received raw state (optionally per line)  */
+    feedbackMatch(msg, feedback) {
+        if (feedback.re === undefined || feedback.re === null)
+            return null;
+        let match = null;
+        for (const line of feedback.lines ? msg.split(/\r?\n/) : [msg]) {
+            /*  require the first capture group (as the value), unless a template formats the value  */
+            const m = line.match(feedback.re);
+            if (m !== null && (m[1] !== undefined || feedback.template))
+                match = m;
+        }
+        return match;
+    }
+    /*  helper function for expanding a template with the capture groups of a match  */
+    feedbackTemplate(template, m) {
+        return template.replace(/\$<([^>]+)>|\$(\d+)/g, (_, name, index) => (name !== undefined ? m.groups?.[name] : m[parseInt(index)]) ?? "");
+    }
+    /*  helper function for converting a received value into a variable value  */
+    feedbackConvertValue(value, feedback) {
+        if (value === undefined || value === null)
+            return feedback.def ?? "";
+        const conv = feedback.conv ?? "auto";
+        if (conv === "number") {
+            const n = typeof value === "number" ? value : Number(value);
+            return Number.isNaN(n) ? feedback.def ?? "" : n.toFixed(feedback.decimals ?? 0);
+        }
+        else if (conv === "boolean") {
+            const truthy = typeof value === "string" ?
+                ["true", "1", "yes", "on"].includes(value.trim().toLowerCase()) :
+                Boolean(value);
+            return truthy ? feedback.mapTrue ?? "true" : feedback.mapFalse ?? "false";
+        }
+        else if (conv === "json")
+            return JSON.stringify(value);
+        return typeof value === "object" ? JSON.stringify(value) : value;
+    }
+    /*  helper function for converting a received value into a string  */
+    feedbackValueString(value) {
+        return typeof value === "object" && value !== null ? JSON.stringify(value) : String(value);
+    }
+    /*  helper function for comparing a received value  */
+    feedbackCompare(value, op, operand) {
+        if (value === undefined)
+            return false;
+        const str = this.feedbackValueString(value);
+        switch (op) {
+            case "eq": return str === operand;
+            case "ne": return str !== operand;
+            case "lt": return parseFloat(str) < parseFloat(operand);
+            case "le": return parseFloat(str) <= parseFloat(operand);
+            case "gt": return parseFloat(str) > parseFloat(operand);
+            case "ge": return parseFloat(str) >= parseFloat(operand);
+            case "match":
+                try {
+                    return new RegExp(operand).test(str);
+                }
+                catch (err) {
+                    this.log("error", `[Bridge]: feedback: invalid comparison regex: "${operand}"`);
+                    return false;
+                }
+            default: return false;
+        }
+    }
+    /*  helper function for mapping a received value onto a button style  */
+    feedbackStyle(value, mapping) {
+        const result = {};
+        if (value === undefined)
+            return result;
+        let styles = null;
+        try {
+            styles = JSON.parse(mapping);
+        }
+        catch (err) {
+            this.log("error", `[Bridge]: feedback: invalid style mapping: "${mapping}"`);
+            return result;
+        }
+        const str = this.feedbackValueString(value);
+        const style = styles?.[str] ?? styles?.["*"];
+        if (typeof style !== "object" || style === null)
+            return result;
+        for (const prop of ["bgcolor", "color"]) {
+            if (typeof style[prop] === "number")
+                result[prop] = style[prop];
+            else if (typeof style[prop] === "string") {
+                const rgb = CompanionModule.splitRgb(style[prop]);
+                result[prop] = CompanionModule.combineRgb(rgb.r, rgb.g, rgb.b);
+            }
+        }
+        for (const prop of ["text", "size", "png64", "alignment", "pngalignment"])
+            if (style[prop] !== undefined)
+                result[prop] = style[prop];
+        return result;
+    }
     /*  helper function for updating own Companion variables  */
-    async feedbackUpdateVariables(callerId = null) {
+    async feedbackUpdateVariables(callerId = null, reset = true) {
         const varDefs = [];
+        for (const name of this.endpoints.size > 0 ? this.endpoints.keys() : ["main"]) {
+            const prefix = this.statusVariablePrefix(name);
+            varDefs.push({ variableId: `${prefix}connected`, name: `Bridge ${name}: connection established` }, { variableId: `${prefix}clients`, name: `Bridge ${name}: number of connected clients (role Server)` }, { variableId: `${prefix}last_message`, name: `Bridge ${name}: time of last received message` }, { variableId: `${prefix}reconnects`, name: `Bridge ${name}: number of reconnects (role Client)` }, { variableId: `${prefix}client_names`, name: `Bridge ${name}: names of connected clients (role Server)` }, { variableId: `${prefix}command_result`, name: `Bridge ${name}: result of last remote command` }, { variableId: `${prefix}dropped_size`, name: `Bridge ${name}: number of messages dropped for exceeding the size limit` }, { variableId: `${prefix}dropped_rate`, name: `Bridge ${name}: number of messages dropped for exceeding the rate limit` }, { variableId: `${prefix}dropped_loop`, name: `Bridge ${name}: number of states dropped for looping` });
+        }
         const varVals = {};
         this.feedbacks.forEach((feedback, id) => {
+            if (feedback.kind !== "variable")
+                return;
             if (this.config.debug)
                 this.log("info", `[Bridge]: feedback: define variable: name: "${feedback.name}"`);
-            varDefs.push({ variableId: feedback.name, name: feedback.name });
-            if (callerId === null || callerId === id) {
-                if (this.config.debug)
-                    this.log("info", `[Bridge]: feedback: reset variable: name: "${feedback.name}", value: "${feedback.def}"`);
-                varVals[feedback.name] = feedback.def;
+            const names = [feedback.name, ...(feedback.groups ?? []).map((group) => `${feedback.name}_${group}`)];
+            for (const name of names) {
+                varDefs.push({ variableId: name, name });
+                if (reset && (callerId === null || callerId === id)) {
+                    const value = this.persistValue(name) ?? feedback.def;
+                    if (this.config.debug)
+                        this.log("info", `[Bridge]: feedback: reset variable: name: "${name}", value: "${value}"`);
+                    varVals[name] = value;
+                }
             }
         });
+        for (const [name, path] of this.discovered) {
+            varDefs.push({ variableId: name, name: `Bridge discovered: ${path}` });
+            const value = this.persistValue(name);
+            if (reset && callerId === null && value !== undefined)
+                varVals[name] = value;
+        }
         this.setVariableDefinitions(varDefs);
         this.setVariableValues(varVals);
     }
-    /*  internal helper function for sending state  */
-    async receiveState(msg) {
+    /*  helper function for restoring the persisted received states  */
+    persistRestore() {
+        this.persisted.clear();
+        this.stale.clear();
+        if (!this.config.persist || !this.config.persisted)
+            return;
+        try {
+            const data = JSON.parse(this.config.persisted);
+            for (const [name, value] of Object.entries(data.variables ?? {})) {
+                this.persisted.set(name, String(value));
+                this.stale.add(name);
+            }
+            for (const [selector, value] of Object.entries(data.received ?? {}))
+                this.received.set(selector, value);
+            for (const [name, path] of Object.entries(data.discovered ?? {}))
+                this.discovered.set(name, String(path));
+        }
+        catch (err) {
+            this.log("error", `[Bridge]: feedback: failed to restore persisted states: ${err}`);
+        }
+    }
+    /*  helper function for determining the persisted value of a variable (with the stale marker until a new value is received)  */
+    persistValue(name) {
+        const value = this.persisted.get(name);
+        if (value === undefined)
+            return undefined;
+        return this.stale.has(name) ? value + (this.config.persistStale ?? "") : value;
+    }
+    /*  helper function for setting (and persisting) variables from received states  */
+    persistVariables(values) {
+        this.setVariableValues(values);
+        if (!this.config.persist)
+            return;
+        for (const name of Object.keys(values)) {
+            this.persisted.set(name, String(values[name]));
+            this.stale.delete(name);
+        }
+        this.persistSchedule();
+    }
+    /*  helper function for deferring the storing of the persisted received states
+        (at most once per delay period and finally on destroy)  */
+    persistSchedule() {
+        if (!this.config.persist || this.persistTimer !== null)
+            return;
+        this.persistTimer = setTimeout(() => { this.persistSave(); }, BridgePersistDelay);
+    }
+    /*  helper function for storing the persisted received states (as part of the configuration)  */
+    persistSave() {
+        if (this.persistTimer !== null) {
+            clearTimeout(this.persistTimer);
+            this.persistTimer = null;
+        }
+        let persisted = "";
+        if (this.config.persist) {
+            /*  store only the states of currently defined variables and subscribed feedbacks  */
+            const names = new Set(this.discovered.keys());
+            const selectors = new Set();
+            this.feedbacks.forEach((feedback) => {
+                if (feedback.kind === "variable") {
+                    names.add(feedback.name);
+                    for (const group of feedback.groups ?? [])
+                        names.add(`${feedback.name}_${group}`);
+                }
+                else if (feedback.type === "json")
+                    selectors.add(`${feedback.endpoint}|json:${feedback.key}`);
+                else
+                    selectors.add(`${feedback.endpoint}|raw:${feedback.regex}`);
+            });
+            persisted = JSON.stringify({
+                variables: Object.fromEntries([...this.persisted].filter(([name]) => names.has(name))),
+                received: Object.fromEntries([...this.received].filter(([selector]) => selectors.has(selector))),
+                discovered: Object.fromEntries(this.discovered)
+            });
+        }
+        if (this.config.debug)
+            this.log("info", `[Bridge]: feedback: store persisted states (${persisted.length} bytes)`);
+        this.config = { ...this.config, persisted };
+        this.saveConfig(this.config);
+    }
+    /*  helper function for auto-discovering variables from the leaf keys of a received JSON state  */
+    async discoverState(obj) {
+        const root = this.config.discoverPath ? ObjectPath.get(obj, this.config.discoverPath) : obj;
+        if (typeof root !== "object" || root === null || Array.isArray(root))
+            return;
+        const prefix = this.config.discoverPrefix ?? ModuleConfigDefault.discoverPrefix;
+        const limit = this.config.discoverLimit ?? ModuleConfigDefault.discoverLimit;
+        const values = {};
+        let defined = false;
+        const walk = (node, path) => {
+            for (const key of Object.keys(node)) {
+                const value = node[key];
+                if (typeof value === "object" && value !== null && !Array.isArray(value)) {
+                    walk(value, [...path, key]);
+                    continue;
+                }
+                const name = prefix + [...path, key].join("_").replace(/[^a-zA-Z0-9_]+/g, "_");
+                if (!this.discovered.has(name)) {
+                    if (this.discovered.size >= limit) {
+                        if (!this.discoverWarned)
+                            this.log("warn", `[Bridge]: feedback: variable auto-discovery limit of ${limit} reached ` +
+                                "(ignoring further leaf keys)");
+                        this.discoverWarned = true;
+                        continue;
+                    }
+                    if (this.config.debug)
+                        this.log("info", `[Bridge]: feedback: discovered variable: name: "${name}"`);
+                    this.discovered.set(name, [...path, key].join("."));
+                    defined = true;
+                }
+                values[name] = value === null ? "" : this.feedbackValueString(value);
+            }
+        };
+        walk(root, []);
+        if (defined)
+            await this.feedbackUpdateVariables(null, false);
+        this.persistVariables(values);
+    }
+    /*  internal helper function for detecting a special Bridge message  */
+    controlMessage(msg) {
+        try {
+            const obj = JSON.parse(msg);
+            return typeof obj === "object" && obj !== null && typeof obj["@bridge"] === "string" ? obj : null;
+        }
+        catch (err) {
+            return null;
+        }
+    }
+    /*  internal helper function for receiving state
+        (or for applying a sent state locally, which is already in local form)  */
+    async receiveState(msg, access = "rw", endpoint = "main", local = false) {
+        if (access !== "rw") {
+            if (this.config.debug)
+                this.log("info", "[Bridge]: feedback: ignore state from read-only peer");
+            return false;
+        }
         let obj = null;
         try {
             obj = JSON.parse(msg);
@@ -463,27 +3495,115 @@ class Module extends CompanionModule.InstanceBase {
         catch (err) {
             obj = {};
         }
-        this.feedbacks.forEach((feedback) => {
+        if (!local && typeof obj === "object" && obj !== null && !Array.isArray(obj))
+            obj = this.stateMap(obj, endpoint, false);
+        const checks = [];
+        this.feedbacks.forEach((feedback, id) => {
+            if (feedback.endpoint !== "*" && endpoint !== "*" && feedback.endpoint !== endpoint)
+                return;
+            let value;
+            let selector;
+            let groups = {};
             if (feedback.type === "json") {
-                if (ObjectPath.has(obj, feedback.key)) {
-                    const value = ObjectPath.get(obj, feedback.key);
-                    if (this.config.debug)
-                        this.log("info", `[Bridge]: feedback: set variable: name: "${feedback.name}", value: "${value}"`);
-                    this.setVariableValues({ [feedback.name]: value });
-                }
+                if (!ObjectPath.has(obj, feedback.key))
+                    return;
+                value = ObjectPath.get(obj, feedback.key);
+                selector = `${feedback.endpoint}|json:${feedback.key}`;
             }
             else if (feedback.type === "raw") {
-                const m = msg.match(feedback.regex);
-                if (m !== null && m[1] !== undefined) {
-                    const value = m[1];
-                    if (this.config.debug)
-                        this.log("info", `[Bridge]: feedback: set variable: name: "${feedback.name}", value: "${value}"`);
-                    this.setVariableValues({ [feedback.name]: value });
-                }
+                const m = this.feedbackMatch(msg, feedback);
+                if (m === null)
+                    return;
+                value = feedback.template ? this.feedbackTemplate(feedback.template, m) : m[1];
+                groups = m.groups ?? {};
+                selector = `${feedback.endpoint}|raw:${feedback.regex}`;
+            }
+            else
+                return;
+            if (feedback.kind === "variable") {
+                value = this.feedbackConvertValue(value, feedback);
+                if (this.config.debug)
+                    this.log("info", `[Bridge]: feedback: set variable: name: "${feedback.name}", value: "${value}"`);
+                const values = { [feedback.name]: value };
+                for (const group of feedback.groups ?? [])
+                    values[`${feedback.name}_${group}`] = groups[group] ?? feedback.def;
+                this.persistVariables(values);
+            }
+            else {
+                if (this.config.debug)
+                    this.log("info", `[Bridge]: feedback: update state: selector: "${selector}", value: "${value}"`);
+                this.received.set(selector, value);
+                this.persistSchedule();
+                checks.push(id);
             }
         });
-        return obj;
+        if (checks.length > 0)
+            this.checkFeedbacksById(...checks);
+        if (this.config.discover && !local)
+            await this.discoverState(obj);
+        return true;
+    }
+    /*  helper function for resetting variables to their defaults whose keys are missing in a full snapshot
+        (the only case where a missing key is known to be no longer present on the peer)  */
+    receiveSnapshot(states, endpoint) {
+        const snapshot = {};
+        for (const state of states)
+            if (typeof state?.data === "object" && state.data !== null && !Array.isArray(state.data))
+                this.stateMerge(snapshot, this.stateMap(state.data, endpoint, false));
+        const values = {};
+        this.feedbacks.forEach((feedback) => {
+            if (feedback.type !== "json" || feedback.kind !== "variable" || !feedback.fallback)
+                return;
+            if (feedback.endpoint !== "*" && feedback.endpoint !== endpoint)
+                return;
+            if (!ObjectPath.has(snapshot, feedback.key))
+                values[feedback.name] = feedback.def ?? "";
+        });
+        if (Object.keys(values).length > 0) {
+            if (this.config.debug)
+                this.log("info", `[Bridge]: feedback: reset variables missing in snapshot: ${Object.keys(values).join(", ")}`);
+            this.persistVariables(values);
+        }
     }
 }
+/*  the defaults of the action and feedback options introduced after the initial module version  */
+const UpgradeOptionDefaults = {
+    sendBridgeStateJSON: { vtype: "string", auto: false, local: false, endpoint: "*", target: "" },
+    sendBridgeStateRAW: { auto: false, endpoint: "*", target: "" },
+    receiveBridgeStateJSON: { conv: "auto", decimals: 0, true: "true", false: "false", fallback: false, endpoint: "*" },
+    receiveBridgeStateRAW: { flags: "", template: "", lines: false, endpoint: "*" },
+    compareBridgeStateJSON: { endpoint: "*" },
+    compareBridgeStateRAW: { endpoint: "*" },
+    styleBridgeStateJSON: { endpoint: "*" },
+    styleBridgeStateRAW: { endpoint: "*" },
+    bridgeConnected: { endpoint: "main" },
+    bridgeClients: { endpoint: "main" },
+    bridgeIdle: { endpoint: "main" },
+    bridgeReconnects: { endpoint: "main" }
+};
+/*  the upgrade scripts for configurations, actions and feedbacks saved by earlier module versions
+    (append new scripts only, as Companion remembers the index of the last applied one)  */
+const UpgradeScripts = [
+    /*  add the defaults of all configuration fields and options introduced after the initial module version  */
+    (context, props) => {
+        const upgrade = (options, defaults) => {
+            const missing = Object.keys(defaults).filter((key) => options[key] === undefined);
+            for (const key of missing)
+                options[key] = defaults[key];
+            return missing.length > 0;
+        };
+        let updatedConfig = null;
+        if (props.config !== null) {
+            const config = { ...props.config };
+            if (upgrade(config, ModuleConfigDefault))
+                updatedConfig = config;
+        }
+        return {
+            updatedConfig,
+            updatedActions: props.actions.filter((action) => upgrade(action.options, UpgradeOptionDefaults[action.actionId] ?? {})),
+            updatedFeedbacks: props.feedbacks.filter((feedback) => upgrade(feedback.options, UpgradeOptionDefaults[feedback.feedbackId] ?? {}))
+        };
+    }
+];
 /*  hook into Companion  */
-CompanionModule.runEntrypoint(Module, []);
+CompanionModule.runEntrypoint(Module, UpgradeScripts);
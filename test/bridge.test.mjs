@@ -0,0 +1,388 @@
+/*
+**  Generic Bridge for Reflecting States in Bitfocus Companion
+**  Copyright (c) 2023 Dr. Ralf S. Engelschall <rse@engelschall.com>
+**  Licensed under MIT <https://spdx.org/licenses/MIT>
+*/
+
+/*  load external requirements  */
+import { describe, it, before, after } from "node:test"
+import assert                          from "node:assert/strict"
+import { execFileSync }                from "node:child_process"
+import crypto                          from "node:crypto"
+import dgram                           from "node:dgram"
+import fs                              from "node:fs"
+import net                             from "node:net"
+import os                              from "node:os"
+import path                            from "node:path"
+import { WebSocket }                   from "ws"
+import { Host, sleep, waitFor }        from "./host.mjs"
+
+/*  generate a self-signed certificate for the TLS based tests (if OpenSSL is available)  */
+const certs = { dir: "", cert: "", key: "", fingerprint: "" }
+before(() => {
+    certs.dir  = fs.mkdtempSync(path.join(os.tmpdir(), "bridge-test-"))
+    certs.cert = path.join(certs.dir, "cert.pem")
+    certs.key  = path.join(certs.dir, "key.pem")
+    try {
+        execFileSync("openssl", [ "req", "-x509", "-newkey", "rsa:2048", "-nodes", "-days", "1",
+            "-subj", "/CN=localhost", "-addext", "subjectAltName=DNS:localhost,IP:127.0.0.1",
+            "-keyout", certs.key, "-out", certs.cert ], { stdio: "ignore" })
+        certs.fingerprint = new crypto.X509Certificate(fs.readFileSync(certs.cert)).fingerprint256
+    }
+    catch (err) {
+        certs.fingerprint = ""
+    }
+})
+after(() => {
+    fs.rmSync(certs.dir, { recursive: true, force: true })
+})
+
+/*  the end-to-end state propagation between a server and a client instance  */
+describe("state propagation", () => {
+    const cases = [
+        { transport: "websocket", tls: "none" },
+        { transport: "websocket", tls: "ca"   },
+        { transport: "tcp",       tls: "none" },
+        { transport: "tcp",       tls: "pin"  },
+        { transport: "udp",       tls: "none" }
+    ]
+    let port = 17700
+    for (const { transport, tls } of cases) {
+        for (const protocol of [ "plain", "v1" ]) {
+            const title = `${transport}${tls !== "none" ? ` with TLS (${tls})` : ""} with protocol ${protocol}`
+            const base  = { role: "server", transport, addr: "127.0.0.1", port: String(port++), protocol, delay: 0 }
+            it(title, async (t) => {
+                if (tls !== "none" && certs.fingerprint === "") {
+                    t.skip("OpenSSL not available")
+                    return
+                }
+                const server = new Host("server", tls === "none" ?
+                    base :
+                    { ...base, tls: true, tlsCert: certs.cert, tlsKey: certs.key })
+                /*  (plain UDP clients announce themselves, and hence receive the snapshot, only with a name)  */
+                const client = new Host("client", tls === "none" ?
+                    { ...base, role: "client", name: transport === "udp" && protocol === "plain" ? "client" : "" } :
+                    tls === "ca" ?
+                        { ...base, role: "client", tls: true, tlsVerify: true, tlsCA: certs.cert } :
+                        { ...base, role: "client", tls: true, tlsVerify: false, tlsPin: certs.fingerprint })
+                try {
+                    /*  server sends JSON states and receives raw states  */
+                    await server.start()
+                    await server.addAction("send", "sendBridgeStateJSON",
+                        { key: "tally", expr: "$(internal:tally)", vtype: "string", auto: true, endpoint: "*", target: "" })
+                    await server.addFeedback("send-auto", "sendBridgeStateAuto", {}, "advanced", "send")
+                    await server.addFeedback("receive", "receiveBridgeStateRAW",
+                        { regex: "^label=(.*)$", name: "label", def: "none", flags: "", template: "", lines: false, endpoint: "*" })
+                    await server.setVariable("internal:tally", "preview")
+                    await server.init()
+                    assert.ok(await waitFor(() => server.status?.status === "ok"), "server not listening")
+
+                    /*  client receives JSON states and sends raw states  */
+                    await client.start()
+                    await client.addAction("send", "sendBridgeStateRAW",
+                        { expr: "label=$(internal:label)", auto: true, endpoint: "*", target: "" })
+                    await client.addFeedback("send-auto", "sendBridgeStateAuto", {}, "advanced", "send")
+                    await client.addFeedback("receive", "receiveBridgeStateJSON",
+                        { key: "tally", name: "tally", def: "none", conv: "auto", endpoint: "*" })
+
+                    /*  let the client subscribe its feedbacks before it reaches the server
+                        (as Companion subscribes them only after initializing the module)  */
+                    const config = client.config
+                    client.config = { ...config, port: "9" }
+                    await client.init()
+                    assert.ok(await waitFor(() => client.values.get("tally") === "none"), "feedback not subscribed")
+                    await client.configure(config)
+                    assert.ok(await waitFor(() => client.values.get("bridge_connected") === true), "client not connected")
+
+                    /*  the state of the server is received as a snapshot after connecting  */
+                    assert.ok(await waitFor(() => client.values.get("tally") === "preview"),
+                        `snapshot not received (tally: ${client.values.get("tally")})`)
+
+                    /*  subsequent changes are propagated in both directions  */
+                    await client.setVariable("internal:label", "Camera 1")
+                    assert.ok(await waitFor(() => server.values.get("label") === "Camera 1"),
+                        `client state not received (label: ${server.values.get("label")})`)
+                    await server.setVariable("internal:tally", "program")
+                    assert.ok(await waitFor(() => client.values.get("tally") === "program"),
+                        `server state not received (tally: ${client.values.get("tally")})`)
+                }
+                finally {
+                    await client.stop()
+                    await server.stop()
+                }
+            })
+        }
+    }
+
+    it("websocket with TLS and mismatching pinned certificate", async (t) => {
+        if (certs.fingerprint === "") {
+            t.skip("OpenSSL not available")
+            return
+        }
+        const base   = {
+            role: "server", transport: "websocket", addr: "127.0.0.1", port: "17720", delay: 0,
+            tls: true, tlsCert: certs.cert, tlsKey: certs.key, token: "secret"
+        }
+        const server = new Host("server", base)
+        const client = new Host("client", {
+            ...base, role: "client", tlsVerify: false,
+            tlsPin: certs.fingerprint.replace(/^../, "00")
+        })
+        try {
+            await server.start()
+            await server.init()
+            await client.start()
+            await client.init()
+            assert.ok(await waitFor(() => client.logs.some((log) => /does not match pinned fingerprint/.test(log))),
+                "pinned certificate not checked")
+            assert.equal(server.values.get("bridge_clients"), 0)
+            assert.notEqual(client.values.get("bridge_connected"), true)
+        }
+        finally {
+            await client.stop()
+            await server.stop()
+        }
+    })
+
+    it("udp with TLS is rejected as a bad configuration", async () => {
+        const server = new Host("server", { role: "server", transport: "udp", addr: "127.0.0.1", port: "17721", tls: true })
+        try {
+            await server.start()
+            await server.init()
+            assert.ok(await waitFor(() => server.status !== null))
+            assert.equal(server.status.status, "bad_config")
+        }
+        finally {
+            await server.stop()
+        }
+    })
+
+    it("tcp endpoint together with a token is rejected as a bad configuration", async () => {
+        const server = new Host("server", {
+            role: "server", addr: "127.0.0.1", port: "17722", token: "secret",
+            endpoints: "panel=server@127.0.0.1:17723/tcp"
+        })
+        try {
+            await server.start()
+            await server.init()
+            assert.ok(await waitFor(() => server.status !== null))
+            assert.equal(server.status.status, "bad_config")
+            assert.match(server.status.message, /panel.*token/)
+        }
+        finally {
+            await server.stop()
+        }
+    })
+
+    it("tcp client with protocol plain sends nothing but states", async () => {
+        const lines  = []
+        const server = net.createServer((socket) => {
+            socket.on("data", (data) => { lines.push(...data.toString().split(/\r?\n/).filter((line) => line !== "")) })
+        })
+        await new Promise((resolve) => { server.listen(17725, "127.0.0.1", resolve) })
+        const client = new Host("client", { role: "client", transport: "tcp", addr: "127.0.0.1", port: "17725", delay: 0 })
+        try {
+            await client.start()
+            await client.addAction("send", "sendBridgeStateJSON",
+                { key: "tally", expr: "program", vtype: "string", auto: false, endpoint: "*", target: "" })
+            await client.init()
+            assert.ok(await waitFor(() => client.values.get("bridge_connected") === true), "client not connected")
+            await client.execAction("send")
+            assert.ok(await waitFor(() => lines.length > 0), "state not received")
+            await sleep(100)
+            assert.ok(lines.every((line) => line === JSON.stringify({ tally: "program" })), `unexpected lines: ${lines.join(", ")}`)
+        }
+        finally {
+            await client.stop()
+            server.close()
+        }
+    })
+
+    it("udp multicast keeps the sequence numbers of each member", async () => {
+        const member  = new Host("member", { role: "client", transport: "udp", addr: "239.1.2.3", port: "17724", protocol: "v1", delay: 0 })
+        const senders = [ dgram.createSocket("udp4"), dgram.createSocket("udp4") ]
+        try {
+            await member.start()
+            await member.addFeedback("foo", "receiveBridgeStateJSON",
+                { key: "foo", name: "foo", def: "none", conv: "auto", fallback: false, endpoint: "*" })
+            await member.addFeedback("bar", "receiveBridgeStateJSON",
+                { key: "bar", name: "bar", def: "none", conv: "auto", fallback: false, endpoint: "*" })
+            await member.init()
+            assert.ok(await waitFor(() => member.values.get("bridge_connected") === true), "group not joined")
+            const replies = []
+            for (const sender of senders) {
+                sender.on("message", (data) => { replies.push(JSON.parse(data.toString())) })
+                await new Promise((resolve) => { sender.bind(0, resolve) })
+            }
+            const send = (sender, msg) => { sender.send(JSON.stringify(msg) + "\r\n", 17724, "239.1.2.3") }
+            send(senders[0], { "@bridge": "state", v: 1, seq: 5, data: { foo: "on" } })
+            await sleep(100)
+            send(senders[1], { "@bridge": "state", v: 1, seq: 1, data: { bar: "on" }, ack: true })
+            assert.ok(await waitFor(() => member.values.get("foo") === "on" && member.values.get("bar") === "on"),
+                "state of member with lower sequence number dropped")
+            assert.ok(await waitFor(() => replies.some((reply) => reply["@bridge"] === "ack" && reply.ref === 1)),
+                "state not acknowledged to its member")
+            assert.equal(replies.filter((reply) => reply["@bridge"] === "ack")[0].seq, undefined)
+        }
+        finally {
+            for (const sender of senders)
+                sender.close()
+            await member.stop()
+        }
+    })
+})
+
+/*  the handling of received states by the receive feedbacks  */
+describe("receive feedbacks", () => {
+    it("keep the value of keys missing in single states", async () => {
+        const base   = { role: "server", addr: "127.0.0.1", port: "17740", delay: 0 }
+        const server = new Host("server", base)
+        const client = new Host("client", { ...base, role: "client" })
+        try {
+            await server.start()
+            await server.addAction("foo", "sendBridgeStateJSON",
+                { key: "foo", expr: "$(internal:foo)", vtype: "string", auto: true, endpoint: "*", target: "" })
+            await server.addAction("bar", "sendBridgeStateJSON",
+                { key: "bar", expr: "$(internal:bar)", vtype: "string", auto: true, endpoint: "*", target: "" })
+            await server.addFeedback("foo-auto", "sendBridgeStateAuto", {}, "advanced", "foo")
+            await server.addFeedback("bar-auto", "sendBridgeStateAuto", {}, "advanced", "bar")
+            await server.setVariable("internal:foo", "on")
+            await server.init()
+            await client.start()
+            await client.addFeedback("foo", "receiveBridgeStateJSON",
+                { key: "foo", name: "foo", def: "none", conv: "auto", fallback: true, endpoint: "*" })
+            await client.init()
+            assert.ok(await waitFor(() => client.values.get("foo") === "on"), "snapshot not received")
+            await server.setVariable("internal:bar", "1")
+            await sleep(300)
+            assert.equal(client.values.get("foo"), "on")
+        }
+        finally {
+            await client.stop()
+            await server.stop()
+        }
+    })
+
+    it("reset keys missing in a full snapshot to the default (if configured)", async () => {
+        const server = new Host("server", { role: "server", addr: "127.0.0.1", port: "17741", protocol: "v1", delay: 0 })
+        let peer = null
+        try {
+            await server.start()
+            await server.addFeedback("foo", "receiveBridgeStateJSON",
+                { key: "foo", name: "foo", def: "none", conv: "auto", fallback: true, endpoint: "*" })
+            await server.addFeedback("bar", "receiveBridgeStateJSON",
+                { key: "bar", name: "bar", def: "none", conv: "auto", fallback: false, endpoint: "*" })
+            await server.init()
+            assert.ok(await waitFor(() => server.status?.status === "ok"), "server not listening")
+            peer = new WebSocket("ws://127.0.0.1:17741")
+            await new Promise((resolve, reject) => { peer.on("open", resolve); peer.on("error", reject) })
+            peer.send(JSON.stringify({ "@bridge": "hello", v: 1, name: "peer" }))
+            peer.send(JSON.stringify({ "@bridge": "state", v: 1, seq: 1, data: { foo: "on", bar: "on" } }))
+            assert.ok(await waitFor(() => server.values.get("foo") === "on" && server.values.get("bar") === "on"))
+            peer.send(JSON.stringify({ "@bridge": "state", v: 1, seq: 2, data: { baz: 1 } }))
+            peer.send("raw")
+            await sleep(300)
+            assert.equal(server.values.get("foo"), "on")
+            peer.send(JSON.stringify({ "@bridge": "snapshot", v: 1, seq: 3, states: [ { data: { baz: 1 } } ] }))
+            assert.ok(await waitFor(() => server.values.get("foo") === "none"), "missing key not reset")
+            assert.equal(server.values.get("bar"), "on")
+        }
+        finally {
+            peer?.close()
+            await server.stop()
+        }
+    })
+})
+
+/*  the upgrade of configurations, actions and feedbacks saved with the initial module version  */
+describe("upgrade script", () => {
+    it("adds the defaults of newly introduced options", async () => {
+        const host = new Host("upgrade", { role: "server", addr: "127.0.0.1", port: "17730", token: "" })
+        try {
+            await host.start()
+            host.actions.send = {
+                id: "send", actionId: "sendBridgeStateJSON", controlId: "control-send",
+                options: { key: "tally", expr: "$(internal:tally)" }, upgradeIndex: null, disabled: false
+            }
+            host.feedbacks.receive = {
+                id: "receive", feedbackId: "receiveBridgeStateRAW", controlId: "control-receive",
+                options: { regex: "^label=(.*)$", name: "label", def: "none" }, upgradeIndex: null,
+                disabled: false, isInverted: false, rawBank: {}, type: "advanced"
+            }
+            const result = await host.init(-1)
+
+            /*  configuration  */
+            assert.equal(result.newUpgradeIndex, 0)
+            assert.equal(result.updatedConfig.role, "server")
+            assert.equal(result.updatedConfig.transport, "websocket")
+            assert.equal(result.updatedConfig.protocol, "plain")
+            assert.equal(result.updatedConfig.maxSize, 64)
+
+            /*  actions  */
+            const action = host.upgraded.updatedActions.send
+            assert.deepEqual(action.options, {
+                key: "tally", expr: "$(internal:tally)",
+                vtype: "string", auto: false, local: false, endpoint: "*", target: ""
+            })
+
+            /*  feedbacks  */
+            const feedback = host.upgraded.updatedFeedbacks.receive
+            assert.deepEqual(feedback.options, {
+                regex: "^label=(.*)$", name: "label", def: "none",
+                flags: "", template: "", lines: false, endpoint: "*"
+            })
+        }
+        finally {
+            await host.stop()
+        }
+    })
+
+    it("leaves up-to-date options untouched", async () => {
+        const host = new Host("upgrade", { role: "server", addr: "127.0.0.1", port: "17731" })
+        try {
+            await host.start()
+            host.actions.send = {
+                id: "send", actionId: "sendBridgeStateRAW", controlId: "control-send",
+                options: { expr: "x", auto: true, endpoint: "main", target: "cam1" }, upgradeIndex: null, disabled: false
+            }
+            await host.init(-1)
+            assert.equal(host.upgraded.updatedActions.send, undefined)
+        }
+        finally {
+            await host.stop()
+        }
+    })
+})
+
+/*  the sending of states by the send actions  */
+describe("send actions", () => {
+    it("apply sent states locally (if configured)", async () => {
+        const server = new Host("server", { role: "server", addr: "127.0.0.1", port: "17750", delay: 0 })
+        let peer = null
+        try {
+            await server.start()
+            await server.addAction("count", "sendBridgeStateJSON",
+                { key: "counter", expr: "$(server:counter) + 1", vtype: "expression", auto: false, local: true, endpoint: "*", target: "" })
+            await server.addFeedback("counter", "receiveBridgeStateJSON",
+                { key: "counter", name: "counter", def: "0", conv: "auto", fallback: false, endpoint: "*" })
+            await server.init()
+            assert.ok(await waitFor(() => server.status?.status === "ok"), "server not listening")
+            const counts = []
+            peer = new WebSocket("ws://127.0.0.1:17750")
+            peer.on("message", (data) => { counts.push(JSON.parse(data.toString()).counter) })
+            await new Promise((resolve, reject) => { peer.on("open", resolve); peer.on("error", reject) })
+            await sleep(300)
+            for (let i = 0; i < 3; i++) {
+                await server.execAction("count")
+                await sleep(100)
+            }
+            assert.ok(await waitFor(() => counts.includes(3)), "incremented counter not sent")
+            assert.deepEqual(counts.slice(-3), [ 1, 2, 3 ])
+            assert.equal(String(server.values.get("counter")), "3")
+        }
+        finally {
+            peer?.close()
+            await server.stop()
+        }
+    })
+})
@@ -0,0 +1,176 @@
+/*
+**  Generic Bridge for Reflecting States in Bitfocus Companion
+**  Copyright (c) 2023 Dr. Ralf S. Engelschall <rse@engelschall.com>
+**  Licensed under MIT <https://spdx.org/licenses/MIT>
+*/
+
+/*  load external requirements  */
+import { fork }          from "node:child_process"
+import path              from "node:path"
+import { fileURLToPath } from "node:url"
+
+/*  the root directory of the module  */
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..")
+
+/*  helper function for waiting a certain amount of time  */
+export const sleep = (ms) =>
+    new Promise((resolve) => setTimeout(resolve, ms))
+
+/*  helper function for waiting until a condition holds (or a timeout occurs)  */
+export const waitFor = async (condition, timeout = 5000) => {
+    const start = Date.now()
+    while (!condition()) {
+        if (Date.now() - start > timeout)
+            return false
+        await sleep(50)
+    }
+    return true
+}
+
+/*  the emulated Companion host, running the built module as a child process
+    and talking the IPC protocol of the Companion Module API to it  */
+export class Host {
+    constructor (label, config) {
+        this.label      = label
+        this.config     = config
+        this.variables  = new Map()
+        this.values     = new Map()
+        this.logs       = []
+        this.status     = null
+        this.saved      = null
+        this.upgraded   = null
+        this.actions    = {}
+        this.feedbacks  = {}
+        this.callbacks  = new Map()
+        this.callbackId = 1
+    }
+
+    /*  start the module process and wait for its registration  */
+    async start () {
+        this.child = fork(path.join(root, "main.mjs"), [], {
+            env: {
+                ...process.env,
+                MODULE_MANIFEST:    path.join(root, "companion/manifest.json"),
+                CONNECTION_ID:      this.label,
+                VERIFICATION_TOKEN: "test"
+            },
+            stdio: [ "ignore", "ignore", "ignore", "ipc" ]
+        })
+        const registered = new Promise((resolve) => { this.registered = resolve })
+        this.child.on("message", (msg) => { this.receive(msg) })
+        await registered
+    }
+
+    /*  initialize the module with the configuration and the actions and feedbacks added so far  */
+    async init (lastUpgradeIndex = 0) {
+        const result = await this.call("init", {
+            label:            this.label,
+            isFirstInit:      false,
+            config:           this.config,
+            lastUpgradeIndex,
+            actions:          this.actions,
+            feedbacks:        this.feedbacks
+        })
+        if (result?.updatedConfig)
+            this.config = result.updatedConfig
+        return result
+    }
+
+    /*  update the module configuration  */
+    async configure (config) {
+        this.config = config
+        await this.call("updateConfigAndLabel", { label: this.label, config })
+    }
+
+    /*  destroy the module and stop its process  */
+    async stop () {
+        try {
+            await this.call("destroy", {})
+        }
+        catch (err) {
+        }
+        this.child.kill()
+    }
+
+    /*  add an action (to a button)  */
+    async addAction (id, actionId, options) {
+        this.actions[id] = { id, actionId, options, controlId: `control-${id}`, upgradeIndex: null, disabled: false }
+        await this.call("updateActions", { actions: { [id]: this.actions[id] } })
+    }
+
+    /*  execute an action (as on a button press)  */
+    async execAction (id) {
+        await this.call("executeAction", { action: this.actions[id], surfaceId: undefined })
+    }
+
+    /*  add a feedback (to a button, by default to the one of the action of the same id)  */
+    async addFeedback (id, feedbackId, options, type = "advanced", control = id) {
+        this.feedbacks[id] = {
+            id, feedbackId, options, controlId: `control-${control}`, upgradeIndex: null,
+            disabled: false, isInverted: false, rawBank: {}, type
+        }
+        await this.call("updateFeedbacks", { feedbacks: { [id]: this.feedbacks[id] } })
+    }
+
+    /*  change a variable of another connection (e.g. "internal:foo")  */
+    async setVariable (id, value) {
+        this.variables.set(id, value)
+        await this.call("variablesChanged", { variablesIds: [ id ] })
+    }
+
+    /*  call a method of the module  */
+    call (name, payload) {
+        const callbackId = this.callbackId++
+        this.child.send({ direction: "call", name, payload: JSON.stringify(payload), callbackId })
+        return new Promise((resolve, reject) => { this.callbacks.set(callbackId, { resolve, reject }) })
+    }
+
+    /*  respond to a call of the module  */
+    respond (msg, payload) {
+        if (msg.callbackId)
+            this.child.send({ direction: "response", callbackId: msg.callbackId, success: true, payload: JSON.stringify(payload) })
+    }
+
+    /*  substitute variable references in a string (and report the referenced variables)  */
+    parse (text) {
+        const variableIds = []
+        text = text.replace(/\$\(([^:()]+):([^:()]+)\)/g, (_, label, name) => {
+            variableIds.push(`${label}:${name}`)
+            return String((label === this.label ? this.values.get(name) : this.variables.get(`${label}:${name}`)) ?? "")
+        })
+        return { text, variableIds }
+    }
+
+    /*  receive a call or response from the module  */
+    receive (msg) {
+        const data = msg.payload ? JSON.parse(msg.payload) : undefined
+        if (msg.direction === "response") {
+            const callback = this.callbacks.get(msg.callbackId)
+            this.callbacks.delete(msg.callbackId)
+            if (msg.success)
+                callback.resolve(data)
+            else
+                callback.reject(data)
+            return
+        }
+        if (msg.name === "register")
+            this.registered()
+        else if (msg.name === "log-message")
+            this.logs.push(`${data.level}: ${data.message}`)
+        else if (msg.name === "set-status")
+            this.status = data
+        else if (msg.name === "saveConfig")
+            this.saved = data.config
+        else if (msg.name === "upgradedItems")
+            this.upgraded = data
+        else if (msg.name === "setVariableValues") {
+            for (const { id, value } of data.newValues)
+                this.values.set(id, value)
+        }
+        else if (msg.name === "parseVariablesInString") {
+            this.respond(msg, this.parse(data.text))
+            return
+        }
+        this.respond(msg, {})
+    }
+}